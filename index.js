@@ -2,158 +2,848 @@
  * AI 自动翻译插件
  * feat: hash 缓存，避免重复翻译
  * feat: 支持自定义模型和端点
- * feat: 优化SEO
+ * feat: 优化SEO（hreflang、og:locale、翻译后的 meta description）
  * feat: 串行排队，防止 API 并发超限
  * feat: 支持人工翻译文件（.en.md），优先级高于 LLM 翻译
+ * feat: 支持多目标语言（languages: [en, ja, ko]），按语言分别缓存
+ * feat: 可选独立页面模式（mode: pages），为每种语言生成单独 URL 的页面
+ * feat: 翻译 front-matter 字段（description、excerpt、tags、categories）
+ * feat: 长文按标题分段翻译（max_chunk_chars），避免超出输出 token 上限
+ * feat: 段落级增量翻译，文章修改后只重新翻译变化的段落
+ * feat: 可切换 LLM 服务（OpenAI 兼容、Anthropic、Gemini、Azure OpenAI、Ollama）
+ * feat: 术语表（glossary.yml / glossary.csv 与 front-matter），统一术语译法并检查译文
+ * feat: 自定义提示词模板（prompt_template）与文章级翻译说明（translate_instructions）
+ * feat: hexo translate 命令，批量预翻译（--force、--only、--dry-run、--concurrency）
+ * feat: hexo translate:cache 命令，查看、清理、导出与导入缓存
+ * feat: token 用量与费用统计（prices），每次构建的预算上限（max_tokens_per_build、max_cost_per_build）
+ * feat: RPM/TPM 请求调度，遵循 Retry-After，仅对 429/5xx/网络错误退避重试，401/400 立即失败
+ * feat: 对比原文与译文结构（占位符、标题、链接、图片、列表、表格、Hexo 标签），不一致时附带反馈重新翻译
+ * feat: 行内代码、公式、HTML 块、脚注、各类代码块、Hexo 标签与 URL 以占位符保护，可通过 protect 配置规则
+ * feat: 语言切换器（悬浮按钮或 language_switcher 辅助函数），支持 ?lang= 参数与 localStorage 记忆，切换无需刷新
+ * feat: 通过 layouts 与 include / exclude 路径规则翻译独立页面等其他布局
+ * feat: 可选缓存后端（JSON 文件、每篇一个文件、SQLite、Redis、PostgreSQL），translate:cache migrate 在后端之间迁移
+ * feat: 缓存格式 v2 只保存译文与元数据（语言、模型、时间），渲染时再包裹；旧版 wrappedContent 缓存自动迁移
+ * feat: 自动识别文章源语言（front-matter lang 或按文字判断），双向翻译到站点的其他语言
+ * feat: hexo translate:manual 把缓存的译文导出为 .<lang>.md 供人工审校（translation_status、source_hash），原文修改后提示人工翻译已过期
+ * feat: 人工翻译文件的 front-matter 按 YAML 解析，可覆盖任意译文字段（description、tags、categories 等），缺少的字段使用 LLM 译文
+ * feat: .<lang>.patch.yml 按段落（anchor 或段落 Hash）修正 LLM 译文，渲染时应用，原文段落不存在时给出警告
+ * feat: 按语言生成 Atom / RSS 订阅（如 /atom.xml 与 /en/atom.xml），条目不含语言容器与脚本，并标注 xml:lang
+ * feat: 按语言生成本地搜索索引（search.json），每篇文章每种语言一条记录（lang、标题、原标题、纯文本内容）
  */
 
 const crypto = require('crypto');
 const Storage = require('./lib/storage');
-const { createConcurrencyLimiter } = require('./lib/concurrency');
-const { translateContent, wrapContent } = require('./lib/translator');
+const { createCacheEntry, createTranslationRecord, upgradeCacheEntries } = require('./lib/cache-entry');
+const { createConcurrencyLimiter, createRequestScheduler } = require('./lib/concurrency');
+const { translateContent, translateFrontMatter, estimateTranslationTokens, wrapContent, wrapText } = require('./lib/translator');
 const { registerInjectors } = require('./lib/injector');
-const { loadManualTranslation } = require('./lib/manual-translation');
+const { registerPageGenerator } = require('./lib/generator');
+const { registerSeoFilter } = require('./lib/seo');
+const { getFeedOptions, registerFeedGenerator } = require('./lib/feed');
+const { getSearchOptions, registerSearchGenerator } = require('./lib/search');
+const { TRANSLATION_STATUSES, loadManualTranslation, getOriginalTitle, getPostSourceHash } = require('./lib/manual-translation');
+const { loadTranslationPatches, applyTranslationPatches } = require('./lib/translation-patch');
+const { SOURCE_LANGUAGE, getTargetLanguages, matchLanguage, detectLanguage } = require('./lib/languages');
+const { getProvider } = require('./lib/providers');
+const { loadGlossary, normalizeGlossary, mergeGlossaries, getGlossaryEntries } = require('./lib/glossary');
+const { loadPromptTemplate } = require('./lib/prompt-template');
+const { getProtectRules } = require('./lib/protect');
+const { registerTranslateCommand, registerCacheCommand, registerManualCommand } = require('./lib/console');
+const { createSourceFilter } = require('./lib/glob');
+const { createUsageTracker, formatUsage } = require('./lib/usage');
 
 try { require('dotenv').config(); } catch (e) {}
 const config = hexo.config.llm_translation;
 const API_KEY = process.env.LLM_API_KEY;
+// 站点默认的源语言与目标语言；写成目标语言的文章会反向翻译为其他站点语言
+const sourceLanguage = String((config && config.source_language) || SOURCE_LANGUAGE);
+const languages = getTargetLanguages(config && config.languages, sourceLanguage);
+const siteLanguages = [sourceLanguage, ...languages];
+const detectSourceLanguage = !config || config.detect_language !== false;
+// 需要随正文一起翻译的 front-matter 字段，如 [description, excerpt, tags, categories]
+const translateFields = [].concat((config && config.translate_fields) || []);
+// 由语言切换脚本按词替换的字段（人工翻译覆盖这些字段时同样生效）
+const TERM_FIELDS = ['tags', 'categories', 'description'];
 
-const storage = new Storage(hexo);
+// 缓存后端：json（默认）/ files / sqlite / redis / postgres，未配置时设置了 DATABASE_URL 则使用 postgres
+const storage = new Storage(hexo, config && config.storage);
 let loadPromise = null;
 
-if (config && config.enable && !API_KEY) {
-    hexo.log.warn('[AI Translate] LLM_API_KEY is missing. Translation will be skipped.');
+// --- LLM 服务提供方：openai（默认，兼容 OpenAI 接口）/ anthropic / gemini / azure / ollama ---
+const providerName = (config && config.provider) || 'openai';
+let provider = null;
+let canTranslate = false;
+if (config && config.enable) {
+    try {
+        provider = getProvider(providerName);
+    } catch (error) {
+        hexo.log.error(`[AI Translate] ${error.message}. Translation will be skipped.`);
+    }
+}
+const model = provider && (config.model || provider.defaultModel);
+const endpoint = provider && (config.endpoint || provider.defaultEndpoint);
+const providerOptions = {
+    apiVersion: config && config.api_version,
+    maxOutputTokens: config && config.max_output_tokens
+};
+
+if (provider) {
+    if (!model) {
+        hexo.log.warn(`[AI Translate] model is required for provider "${providerName}". Translation will be skipped.`);
+    } else if (!endpoint) {
+        hexo.log.warn(`[AI Translate] endpoint is required for provider "${providerName}". Translation will be skipped.`);
+    } else if (provider.requiresApiKey && !API_KEY) {
+        hexo.log.warn('[AI Translate] LLM_API_KEY is missing. Translation will be skipped.');
+    } else {
+        canTranslate = true;
+    }
 }
 
+// --- 术语表：站点根目录的 glossary.yml / glossary.csv（或 glossary 配置指定的文件） ---
+let siteGlossary = null;
+if (config && config.enable) {
+    try {
+        siteGlossary = loadGlossary(hexo.base_dir, config.glossary);
+    } catch (error) {
+        hexo.log.error(`[AI Translate] Invalid glossary, it will be ignored: ${error.message}`);
+    }
+}
+
+// --- 提示词模板：内联文本或站点根目录下的文件，模板版本参与缓存 Hash ---
+let promptTemplate = loadPromptTemplate(hexo.base_dir);
+if (config && config.enable && config.prompt_template) {
+    try {
+        promptTemplate = loadPromptTemplate(hexo.base_dir, config.prompt_template);
+    } catch (error) {
+        hexo.log.error(`[AI Translate] Invalid prompt_template, using the built-in prompt: ${error.message}`);
+    }
+}
+
+// --- 受保护片段：代码、公式、HTML 块、Hexo 标签、URL 等在请求前替换为占位符 ---
+let protectRules = getProtectRules();
+if (config && config.enable && config.protect) {
+    try {
+        protectRules = getProtectRules(config.protect);
+    } catch (error) {
+        hexo.log.error(`[AI Translate] Invalid protect config, using the built-in rules: ${error.message}`);
+    }
+}
+
+// --- token 用量统计与每次构建的预算（超出后不再发送新的翻译请求，文章以原文渲染） ---
+const usageTracker = createUsageTracker({
+    prices: (config && config.prices) || {},
+    maxTokens: Number(config && config.max_tokens_per_build) || 0,
+    maxCost: Number(config && config.max_cost_per_build) || 0
+});
+let budgetWarned = false;
+if (canTranslate && config.max_cost_per_build && !(config.prices && config.prices[model])) {
+    hexo.log.warn(`[AI Translate] max_cost_per_build is set but prices has no entry for "${model}", the cost limit cannot be enforced.`);
+}
+
+// --- 翻译范围：允许的 layout（默认仅 post）与 source 路径的 include / exclude glob ---
+const isTranslatable = createSourceFilter(config || {});
+
 // --- 并发控制 ---
 const runWithLimit = createConcurrencyLimiter((config && config.max_concurrency) || 2);
+// 按服务商的 RPM/TPM 配额调度请求，429 的 Retry-After 会暂停所有请求
+const scheduler = createRequestScheduler({
+    requestsPerMinute: Number(config && config.requests_per_minute) || 0,
+    tokensPerMinute: Number(config && config.tokens_per_minute) || 0
+});
 
-// --- 全局标题映射，用于首页/列表页标题替换 ---
+// --- 全局标题映射（语言代码 -> 标题），用于首页/列表页标题替换 ---
 const globalTitlePairs = [];
+// --- 本次渲染的文章字段与译文（含人工翻译覆盖的字段），用于标签/分类/描述替换 ---
+const globalTermItems = [];
 
-hexo.extend.filter.register('before_post_render', async (data) => {
-    // 健壮性检查：确保 data 及其属性存在
-    if (!data || !data.content || !config || !config.enable || data.layout !== 'post' || data.no_translate) {
-        return data;
+// --- 记录本次渲染得到的翻译，供独立页面生成器和 SEO 标签使用 ---
+const pageMode = !!config && config.mode === 'pages';
+const renderedTranslations = new Map();
+
+// --- hexo translate 命令运行期间，过滤器把文章交给命令处理，不修改文章内容 ---
+let batchHandler = null;
+
+/**
+ * 确保缓存已加载（使用 Promise 锁防止并发初始化）
+ * 旧格式的缓存条目在首次加载时升级并写回，之后不再需要迁移
+ */
+function ensureStorageLoaded() {
+    if (!loadPromise) {
+        loadPromise = storage.load().then(async cache => {
+            const upgraded = upgradeCacheEntries(cache);
+            const count = Object.keys(upgraded).length;
+            if (count > 0) {
+                await storage.saveMany(upgraded);
+                hexo.log.info(`[AI Translate] Upgraded ${count} cache entries to the current format.`);
+            }
+            return storage.cache;
+        });
     }
+    return loadPromise;
+}
 
-    // --- 优先检查人工翻译文件（.en.md），优先级最高 ---
-    const sourceDir = hexo.source_dir;
-    const manualTranslation = loadManualTranslation(data.source, sourceDir);
-    
-    if (manualTranslation) {
-        const originalTitle = data.title;
-        const { translatedTitle, translatedContent } = manualTranslation;
-        
-        // 使用人工翻译的标题，如果没有则保持原标题
-        const finalTranslatedTitle = translatedTitle || originalTitle;
-        
-        const wrappedContent = wrapContent(
-            data.content,
-            translatedContent,
-            originalTitle,
-            finalTranslatedTitle
-        );
-        
-        data.title = finalTranslatedTitle;
-        data.content = wrappedContent;
-        
-        // 记录标题映射用于首页/列表页
-        globalTitlePairs.push({ zh: originalTitle, en: finalTranslatedTitle });
-        hexo.log.info(`[AI Translate] Using manual translation: ${data.source}`);
-        
-        return data;
+// --- 已给出的警告（过期的人工翻译、无法应用的段落修正），每次构建只提示一次 ---
+const warnedOnce = new Set();
+
+/**
+ * 每次构建只输出一次的警告（文章可能被过滤器、生成器与 SEO 多次读取）
+ * @param {string} key - 警告的唯一标识
+ * @param {string} message - 警告内容
+ */
+function warnOnce(key, message) {
+    if (warnedOnce.has(key)) return;
+    warnedOnce.add(key);
+    hexo.log.warn(message);
+}
+
+// --- 文章语言：source 路径 -> { sourceLanguage, targetLanguages } ---
+const postLanguages = new Map();
+
+/**
+ * 判断文章的源语言与需要翻译的目标语言
+ * front-matter 的 lang 优先，否则按正文文字判断（detect_language: false 时使用 source_language）
+ * 结果按 source 路径记录，独立页面模式下生成的翻译页面（lang 为目标语言）沿用原文的结果
+ * @param {object} data - Hexo 文章数据
+ * @returns {{ sourceLanguage: string, targetLanguages: string[] }}
+ */
+function getPostLanguages(data) {
+    if (postLanguages.has(data.source)) {
+        return postLanguages.get(data.source);
+    }
+    let postLanguage = sourceLanguage;
+    if (data.lang) {
+        postLanguage = matchLanguage(data.lang, siteLanguages) || String(data.lang);
+    } else if (detectSourceLanguage) {
+        // 使用原始标题与 Markdown：未重新渲染的文章 title 已是译文标题、content 已包含各语言的内容
+        postLanguage = detectLanguage(`${getOriginalTitle(data) || ''}\n${data._content ?? data.content ?? ''}`, siteLanguages, sourceLanguage);
     }
+    const result = {
+        sourceLanguage: postLanguage,
+        targetLanguages: siteLanguages.filter(lang => lang !== postLanguage)
+    };
+    postLanguages.set(data.source, result);
+    return result;
+}
 
-    // --- 以下为 LLM 翻译逻辑，仅在没有人工翻译时执行 ---
-    
-    // 如果没有 API_KEY，跳过 LLM 翻译
-    if (!API_KEY) {
-        return data;
+/**
+ * 读取人工翻译文件，并用 source_hash 检查原文是否在翻译后修改过
+ * 过期的 reviewed 文件仍然使用并给出警告；过期的 machine 文件（未审校的导出）被忽略，改用 LLM 翻译
+ * @param {object} data - Hexo 文章数据
+ * @param {string} lang - 目标语言
+ * @returns {object|null} - loadManualTranslation() 的结果，没有可用的人工翻译时返回 null
+ */
+function getManualTranslation(data, lang) {
+    const manualTranslation = loadManualTranslation(data.source, hexo.source_dir, lang);
+    if (manualTranslation && manualTranslation.status && !TRANSLATION_STATUSES.includes(manualTranslation.status)) {
+        warnOnce(`status:${data.source}:${lang}`, `[AI Translate] Unknown translation_status "${manualTranslation.status}" (${lang}) in the manual translation of ${data.source}, expected one of: ${TRANSLATION_STATUSES.join(', ')}`);
+    }
+    if (!manualTranslation || !manualTranslation.sourceHash) {
+        return manualTranslation;
+    }
+    // 标题取自原始文件（渲染后 title 已被替换为译文标题），正文取 _content 原始 Markdown
+    const sourceHash = getPostSourceHash(data);
+    if (manualTranslation.sourceHash === sourceHash) {
+        return manualTranslation;
     }
+    const reviewed = manualTranslation.status !== 'machine';
+    warnOnce(`stale:${data.source}:${lang}`, reviewed
+        ? `[AI Translate] Manual translation is stale (${lang}): ${data.source} changed after it was reviewed, update the translation and its source_hash (${sourceHash})`
+        : `[AI Translate] Exported machine translation is stale (${lang}): ${data.source} changed, using the LLM translation instead`);
+    return reviewed ? manualTranslation : null;
+}
 
-    // 确保缓存已加载（使用 Promise 锁防止并发初始化）
-    if (!loadPromise) {
-        loadPromise = storage.load();
+/**
+ * 应用段落修正文件（.<lang>.patch.yml）：替换 LLM 译文中的单个段落
+ * 修正只在渲染时应用，缓存中保存的仍是 LLM 原始译文，修改修正文件不需要重新翻译
+ * @param {object} data - Hexo 文章数据
+ * @param {string} lang - 目标语言
+ * @param {object} translation - LLM 翻译（缓存或本次翻译）
+ * @returns {object} - 应用修正后的翻译，没有修正文件时原样返回
+ */
+function patchTranslation(data, lang, translation) {
+    let patches;
+    try {
+        patches = loadTranslationPatches(data.source, hexo.source_dir, lang);
+    } catch (error) {
+        warnOnce(`patch:${data.source}:${lang}`, `[AI Translate] Invalid patch file (${lang}) for ${data.source}: ${error.message}`);
+        return translation;
+    }
+    if (!patches || patches.length === 0) {
+        return translation;
+    }
+    // 段落按原始 Markdown 匹配，文章是否重新渲染都能得到相同的段落与 Hash
+    const { content, applied, problems, misaligned } = applyTranslationPatches(data._content ?? data.content, translation.translatedContent, patches);
+    if (misaligned) {
+        warnOnce(`patch:${data.source}:${lang}`, `[AI Translate] Patches not applied (${lang}): the translation of ${data.source} has a different number of paragraphs than the original`);
+    }
+    problems.forEach(problem => {
+        warnOnce(`patch:${data.source}:${lang}:${problem}`, `[AI Translate] Patch not applied (${lang}): ${data.source}: ${problem}`);
+    });
+    return applied > 0 ? { ...translation, translatedContent: content } : translation;
+}
+
+/**
+ * 合并人工翻译与 LLM 翻译：人工翻译中的标题、正文与字段优先，缺少的字段使用 LLM 译文
+ * @param {object} manualTranslation - getManualTranslation() 的结果
+ * @param {object|null} translation - 同一语言的 LLM 翻译（缓存或本次翻译），没有时为 null
+ * @param {string} originalTitle - 两者都没有标题时使用的标题
+ * @returns {{ translatedTitle: string, translatedContent: string, translatedFields: object }}
+ */
+function mergeManualTranslation(manualTranslation, translation, originalTitle) {
+    const translatedFields = { ...((translation && translation.translatedFields) || {}) };
+    Object.keys(manualTranslation.translatedFields).forEach(key => {
+        const value = manualTranslation.translatedFields[key];
+        // tags / categories 只有一项时可以写成字符串
+        translatedFields[key] = (key === 'tags' || key === 'categories') && typeof value === 'string' ? [value] : value;
+    });
+    return {
+        translatedTitle: manualTranslation.translatedTitle || (translation && translation.translatedTitle) || originalTitle,
+        translatedContent: manualTranslation.translatedContent,
+        translatedFields
+    };
+}
+
+/**
+ * 读取已缓存文章的人工翻译中的标题与覆盖的字段，用于列表页标题与标签/分类/描述替换
+ * 注入脚本在插件初始化时生成，此时文章尚未渲染，因此从缓存条目出发，人工翻译优先于缓存中的 LLM 译文
+ * @returns {{ titlePairs: Array<object>, termItems: Array<object> }} - 标题映射（格式同 globalTitlePairs）
+ *     与 { sourceLanguage, originalFields, translations }（格式同 globalTermItems）
+ */
+function getManualOverrides() {
+    const titlePairs = [];
+    const termItems = [];
+    storage.keys().forEach(source => {
+        const entry = storage.get(source);
+        if (!entry) return;
+        const entryLanguage = entry.sourceLanguage || SOURCE_LANGUAGE;
+        const cachedTranslations = entry.translations || {};
+        const titlePair = { [entryLanguage]: entry.originalTitle };
+        let hasManualTitle = false;
+        const translations = {};
+        siteLanguages.filter(lang => lang !== entryLanguage).forEach(lang => {
+            const manualTranslation = loadManualTranslation(source, hexo.source_dir, lang);
+            const cachedTitle = cachedTranslations[lang] && cachedTranslations[lang].translatedTitle;
+            if (manualTranslation && manualTranslation.translatedTitle) {
+                titlePair[lang] = manualTranslation.translatedTitle.trim();
+                hasManualTitle = true;
+            } else if (cachedTitle) {
+                titlePair[lang] = cachedTitle.trim();
+            }
+            if (manualTranslation && Object.keys(manualTranslation.translatedFields).length > 0) {
+                translations[lang] = mergeManualTranslation(manualTranslation, null, entry.originalTitle);
+            }
+        });
+        if (entry.originalTitle && hasManualTitle) {
+            titlePairs.push(titlePair);
+        }
+        if (entry.originalFields && Object.keys(translations).length > 0) {
+            termItems.push({ sourceLanguage: entryLanguage, originalFields: entry.originalFields, translations });
+        }
+    });
+    return { titlePairs, termItems };
+}
+
+/**
+ * 人工翻译是否缺少需要翻译的 front-matter 字段（缺少时该语言仍需 LLM 翻译以补全字段）
+ * @param {object} data - Hexo 文章数据
+ * @param {object} manualTranslation - getManualTranslation() 的结果
+ * @returns {boolean}
+ */
+function isMissingFields(data, manualTranslation) {
+    return Object.keys(getFrontMatterFields(data)).some(key => !(key in manualTranslation.translatedFields));
+}
+
+/**
+ * 按目标语言顺序整理翻译结果
+ * @param {object} translations - 语言代码 -> 翻译
+ * @param {string[]} targetLanguages - 文章的目标语言
+ * @returns {object|null} - 按配置顺序排列的翻译，没有任何翻译时返回 null
+ */
+function orderTranslations(translations, targetLanguages) {
+    const translatedLanguages = targetLanguages.filter(lang => translations[lang]);
+    if (translatedLanguages.length === 0) {
+        return null;
+    }
+    const ordered = {};
+    translatedLanguages.forEach(lang => {
+        ordered[lang] = translations[lang];
+    });
+    return ordered;
+}
+
+/**
+ * 提取需要翻译的 front-matter 字段（tags/categories 转为名称数组）
+ * @param {object} data - Hexo 文章数据
+ * @param {string[]} [keys=translateFields] - 字段名
+ * @returns {object} - 字段名 -> 字符串或字符串数组，空字段会被忽略
+ */
+function getFrontMatterFields(data, keys = translateFields) {
+    const fields = {};
+    keys.forEach(key => {
+        let value = data[key];
+        if (value && typeof value.toArray === 'function') {
+            value = value.toArray();
+        }
+        if (Array.isArray(value)) {
+            const names = value.map(item => (typeof item === 'string' ? item : item && item.name)).filter(Boolean);
+            if (names.length > 0) fields[key] = names;
+        } else if (typeof value === 'string' && value.trim()) {
+            fields[key] = value;
+        }
+    });
+    return fields;
+}
+
+/**
+ * 合并站点术语表与文章 front-matter 中的 glossary（文章中的译法优先）
+ * @param {object} data - Hexo 文章数据
+ * @returns {object|null} - 合并后的术语表
+ */
+function getPostGlossary(data) {
+    if (!data.glossary) {
+        return siteGlossary;
+    }
+    try {
+        return mergeGlossaries(siteGlossary, normalizeGlossary(data.glossary, `${data.source} front-matter glossary`));
+    } catch (error) {
+        hexo.log.warn(`[AI Translate] ${error.message}, using the site glossary only`);
+        return siteGlossary;
     }
-    await loadPromise;
+}
 
-    // 计算内容 Hash，判断是否需要重新翻译
-    const CACHE_VERSION = 'v1'; // 结构变更时修改此版本号
+/**
+ * 计算文章的缓存状态：需要翻译的字段、术语表条目、提示词版本与内容 Hash
+ * @param {object} data - Hexo 文章数据（经过 before_post_render 过滤器处理的内容）
+ * @param {string[]} pendingLanguages - 需要 LLM 翻译的语言（没有人工翻译）
+ * @param {string} postLanguage - 文章的源语言
+ * @returns {{ fields: object, glossaryEntries: object, glossaryKeys: object, instructions: string, promptVersion: string, contentHash: string }}
+ */
+function getCacheState(data, pendingLanguages, postLanguage) {
+    const originalTitle = data.title;
+    // 计算内容 Hash，判断是否需要重新翻译（包含需要翻译的 front-matter 字段）
+    // 缓存条目只保存译文，包裹方式变化不影响缓存；该值参与 Hash 只是为了让旧缓存保持有效，无需修改
+    const HASH_SALT = 'v1';
+    const fields = getFrontMatterFields(data);
+    const fieldsKey = Object.keys(fields).length > 0 ? JSON.stringify(fields) : '';
+    // 术语表按语言筛选出本文涉及的条目，条目变化时重新翻译
+    const postGlossary = getPostGlossary(data);
+    const sourceText = `${originalTitle || ''}\n${fieldsKey}\n${data.content}`;
+    const glossaryEntries = {};
+    const glossaryKeys = {};
+    pendingLanguages.forEach(lang => {
+        const entries = getGlossaryEntries(postGlossary, lang, sourceText);
+        const isEmpty = entries.terms.length === 0 && entries.doNotTranslate.length === 0;
+        glossaryEntries[lang] = isEmpty ? null : entries;
+        glossaryKeys[lang] = isEmpty ? '' : crypto.createHash('md5').update(JSON.stringify(entries)).digest('hex');
+    });
+    // 提示词版本：模板内容与文章的 translate_instructions，修改后自动重新翻译
+    const instructions = typeof data.translate_instructions === 'string' ? data.translate_instructions.trim() : '';
+    const promptVersion = promptTemplate.version || instructions
+        ? crypto.createHash('md5').update(`${promptTemplate.version}\n${instructions}`).digest('hex').slice(0, 8)
+        : '';
+    // 源语言为中文时不参与 Hash，以前的缓存保持有效
+    const languageKey = postLanguage === SOURCE_LANGUAGE ? '' : postLanguage;
     const contentHash = crypto.createHash('md5')
-        .update(data.content + (data.title || '') + CACHE_VERSION)
+        .update(data.content + (originalTitle || '') + HASH_SALT + fieldsKey + Object.values(glossaryKeys).join('') + promptVersion + languageKey)
         .digest('hex');
-    const model = config.model || 'deepseek-ai/DeepSeek-V3.2';
 
-    // 缓存命中逻辑
+    return { fields, glossaryEntries, glossaryKeys, instructions, promptVersion, contentHash };
+}
+
+/**
+ * 检查文章缓存是否仍然有效（供 hexo translate:cache status 使用，不调用 LLM）
+ * @param {object} data - Hexo 文章数据
+ * @returns {Promise<{ status: string }>} - fresh（有效）/ stale（内容或模型已变化）/ missing（未缓存）/ manual（全部为人工翻译）
+ */
+async function inspectCache(data) {
+    await ensureStorageLoaded();
+    const { sourceLanguage: postLanguage, targetLanguages } = getPostLanguages(data);
+    const pendingLanguages = targetLanguages.filter(lang => {
+        const manualTranslation = getManualTranslation(data, lang);
+        return !manualTranslation || isMissingFields(data, manualTranslation);
+    });
+    if (pendingLanguages.length === 0) {
+        return { status: 'manual' };
+    }
     const cached = storage.get(data.source);
-    if (cached && cached.hash === contentHash && cached.model === model) {
-        const originalTitle = data.title; // 保存原始中文标题
-        data.title = cached.translatedTitle;
-        data.content = cached.wrappedContent;
-
-        // 兼容性补全：如果旧缓存没有 originalTitle，则补全它并同步到存储
-        if (!cached.originalTitle) {
-            cached.originalTitle = originalTitle;
-            // 异步保存，不阻塞当前渲染流程
-            storage.save(data.source, cached).catch(err => {
-                hexo.log.error(`[AI Translate] Failed to update legacy cache for ${data.source}: ${err.message}`);
-            });
-        }
-        return data;
+    if (!cached) {
+        return { status: 'missing' };
     }
+    const { contentHash } = getCacheState(data, pendingLanguages, postLanguage);
+    return { status: cached.hash === contentHash && cached.model === model ? 'fresh' : 'stale' };
+}
+
+/**
+ * 获取文章各语言的翻译：人工翻译优先，其次缓存，最后调用 LLM
+ * @param {object} data - Hexo 文章数据
+ * @param {object} [options] - 选项（供 hexo translate 命令使用）
+ * @param {boolean} [options.force=false] - 忽略缓存，重新翻译
+ * @param {boolean} [options.dryRun=false] - 只统计需要翻译的语言与预估 token，不调用 LLM
+ * @param {function} [options.limit] - 并发限流器，默认使用 max_concurrency
+ * @param {function(string, string, object=): void} [options.report] - 每种语言的处理结果回调 (lang, status, detail)，
+ *     status 为 manual / cached / translated / failed / pending
+ * @param {string[]} [options.ignoreManual=[]] - 不读取人工翻译文件的语言（translate:manual export --overwrite 重新导出时使用）
+ * @returns {Promise<object|null>} - 语言代码 -> { translatedTitle, translatedContent, translatedFields }
+ */
+async function collectTranslations(data, { force = false, dryRun = false, limit = runWithLimit, report = () => {}, ignoreManual = [] } = {}) {
+    const originalTitle = data.title;
+    const translations = {};
+    const pendingLanguages = [];
+    const { sourceLanguage: postLanguage, targetLanguages } = getPostLanguages(data);
 
-    // --- 并发控制 ---
-    return runWithLimit(async () => {
-        const endpoint = config.endpoint || 'https://api.siliconflow.cn/v1/chat/completions';
+    // --- 优先检查人工翻译文件（.<lang>.md），每种语言单独判断，优先级最高 ---
+    // 人工翻译缺少 translate_fields 中的字段时，该语言仍交给 LLM 翻译，缺少的字段使用 LLM 译文而不是原文
+    // 人工翻译有正文时只翻译字段，不再发送正文
+    const manualTranslations = {};
+    const isFieldsOnly = lang => !!manualTranslations[lang] && !!manualTranslations[lang].translatedContent;
+    targetLanguages.forEach(lang => {
+        const manualTranslation = ignoreManual.includes(lang) ? null : getManualTranslation(data, lang);
+        if (manualTranslation) {
+            manualTranslations[lang] = manualTranslation;
+            hexo.log.info(`[AI Translate] Using manual translation (${lang}): ${data.source}`);
+        }
+        if (manualTranslation && !isMissingFields(data, manualTranslation)) {
+            // 使用人工翻译的标题，如果没有则保持原标题
+            translations[lang] = mergeManualTranslation(manualTranslation, null, originalTitle);
+            report(lang, 'manual');
+        } else {
+            pendingLanguages.push(lang);
+        }
+    });
+
+    // --- 以下为 LLM 翻译逻辑，仅对没有人工翻译的语言执行 ---
+    // 如果没有 API_KEY（或服务配置不完整），跳过 LLM 翻译
+    // dry run 不发送请求，只要服务配置可用（不要求 API_KEY）即可统计
+    const llmAvailable = canTranslate || (dryRun && model && endpoint);
+    if (pendingLanguages.length > 0 && llmAvailable) {
+        await ensureStorageLoaded();
+
+        const { fields, glossaryEntries, glossaryKeys, instructions, promptVersion, contentHash } = getCacheState(data, pendingLanguages, postLanguage);
+
+        // 缓存命中逻辑：同一篇文章的各语言翻译共用一个缓存条目，按语言分别存储
+        const cached = storage.get(data.source);
+        const cachedTranslations = (!force && cached && cached.hash === contentHash && cached.model === model && cached.translations) || {};
+        // 内容已变化但模型相同：旧翻译作为段落级翻译记忆，只重新翻译变化的段落
+        // 提示词变化时旧译文同样不再复用
+        const previousTranslations = (!force && cached && cached.hash !== contentHash && cached.model === model
+            && (cached.prompt || '') === promptVersion && cached.translations) || {};
 
-        try {
-            const originalTitle = data.title;
-            const result = await translateContent({
-                title: data.title,
-                content: data.content,
+        const results = await Promise.all(pendingLanguages.map(async lang => {
+            const fieldsOnly = isFieldsOnly(lang);
+            // 只含字段的缓存译文（正文为人工翻译）不能作为完整译文使用
+            if (cachedTranslations[lang] && (fieldsOnly || !cachedTranslations[lang].fieldsOnly)) {
+                report(lang, 'cached');
+                return cachedTranslations[lang];
+            }
+            if (dryRun) {
+                report(lang, 'pending', estimateTranslationTokens({
+                    title: originalTitle,
+                    content: fieldsOnly ? '' : data.content,
+                    sourceLanguage: postLanguage,
+                    targetLanguage: lang,
+                    fields,
+                    glossary: glossaryEntries[lang],
+                    promptTemplate: promptTemplate.template,
+                    instructions
+                }));
+                return null;
+            }
+            // 术语表条目变化后旧译文不再可信，不作为翻译记忆
+            const previous = previousTranslations[lang] && (previousTranslations[lang].glossary || '') === glossaryKeys[lang]
+                ? previousTranslations[lang]
+                : null;
+            const requestOptions = {
+                title: originalTitle,
+                provider: providerName,
                 apiKey: API_KEY,
                 endpoint,
                 model,
-                timeout: (config.single_timeout || 120) * 1000
-            });
-
-            if (result) {
-                const { translatedTitle, translatedContent } = result;
-                const wrappedContent = wrapContent(
-                    data.content,
-                    translatedContent,
-                    originalTitle,
-                    translatedTitle
-                );
-
-                // 更新数据并存入缓存
-                await storage.save(data.source, {
-                    hash: contentHash,
-                    model: model,
-                    originalTitle: originalTitle,
-                    translatedTitle: translatedTitle,
-                    wrappedContent: wrappedContent
+                timeout: (config.single_timeout || 120) * 1000,
+                providerOptions,
+                scheduler,
+                maxRetries: config.max_retries ?? 2,
+                maxAttempts: config.max_translation_attempts ?? 2,
+                sourceLanguage: postLanguage,
+                targetLanguage: lang,
+                fields,
+                // --- 并发控制：长文按标题分段后，每段请求都经过限流器 ---
+                limit,
+                glossary: glossaryEntries[lang],
+                promptTemplate: promptTemplate.template,
+                instructions,
+                usageTracker
+            };
+            try {
+                if (fieldsOnly) {
+                    // 翻译全部字段而不只是缺少的字段，人工翻译修改后缓存仍然可用
+                    const result = await translateFrontMatter(requestOptions);
+                    hexo.log.info(`[AI Translate] Success (${lang}, fields only): ${originalTitle}`);
+                    report(lang, 'translated');
+                    return { ...result, glossary: glossaryKeys[lang], fieldsOnly: true };
+                }
+                const { translatedSegmentCount, warnings, ...result } = await translateContent({
+                    ...requestOptions,
+                    content: data.content,
+                    maxChunkChars: config.max_chunk_chars ?? 6000,
+                    previous: previous && previous.segments ? {
+                        title: cached.originalTitle,
+                        translatedTitle: previous.translatedTitle,
+                        fields: cached.originalFields,
+                        translatedFields: previous.translatedFields,
+                        segments: previous.segments
+                    } : null,
+                    protectRules
+                });
+                warnings.forEach(warning => {
+                    hexo.log.warn(`[AI Translate] Glossary not followed in "${originalTitle}" (${lang}): ${warning}`);
                 });
+                result.glossary = glossaryKeys[lang];
+                const reusedCount = result.segments.length - translatedSegmentCount;
+                const reusedNote = reusedCount > 0 ? ` (reused ${reusedCount}/${result.segments.length} segments)` : '';
+                hexo.log.info(`[AI Translate] Success (${lang}): ${result.translatedTitle}${reusedNote}`);
+                report(lang, 'translated');
+                return result;
+            } catch (error) {
+                if (error.code === 'BUDGET_EXCEEDED') {
+                    if (!budgetWarned) {
+                        budgetWarned = true;
+                        hexo.log.warn(`[AI Translate] ${error.message}. Remaining posts are rendered untranslated.`);
+                    }
+                    report(lang, 'skipped', { error });
+                    return null;
+                }
+                hexo.log.error(`[AI Translate] Skip "${originalTitle}" (${lang}): ${error.message}`);
+                report(lang, 'failed', { error });
+                return null;
+            }
+        }));
 
-                data.title = translatedTitle;
-                data.content = wrappedContent;
-                // 记录标题映射用于首页/列表页
-                globalTitlePairs.push({ zh: originalTitle, en: translatedTitle });
-                hexo.log.info(`[AI Translate] Success: ${data.title}`);
+        const newTranslations = { ...cachedTranslations };
+        let changed = false;
+        pendingLanguages.forEach((lang, index) => {
+            if (!results[index]) return;
+            translations[lang] = manualTranslations[lang]
+                ? mergeManualTranslation(manualTranslations[lang], results[index], originalTitle)
+                : patchTranslation(data, lang, results[index]);
+            if (results[index] !== cachedTranslations[lang]) {
+                newTranslations[lang] = createTranslationRecord(results[index], lang, model);
+                changed = true;
             }
-        } catch (error) {
-            hexo.log.error(`[AI Translate] Skip "${data.title}": ${error.message}`);
+        });
+
+        // 存入缓存
+        if (changed) {
+            await storage.save(data.source, createCacheEntry({
+                hash: contentHash,
+                model: model,
+                prompt: promptVersion,
+                sourceLanguage: postLanguage,
+                originalTitle: originalTitle,
+                originalFields: fields,
+                translations: newTranslations
+            }, cached));
         }
-        return data; // 无论成功失败，必须返回 data，防止 Hexo 报错
+    }
+
+    // LLM 翻译不可用或失败时，人工翻译照常使用（缺少的字段保持原文）
+    Object.keys(manualTranslations).forEach(lang => {
+        if (translations[lang]) return;
+        translations[lang] = mergeManualTranslation(manualTranslations[lang], null, originalTitle);
+        if (!llmAvailable) report(lang, 'manual');
+    });
+
+    return orderTranslations(translations, targetLanguages);
+}
+
+/**
+ * 从人工翻译文件和缓存中读取已有翻译，不调用 LLM
+ * 用于本次未重新渲染（内容未变化）的文章
+ * @param {object} post - Hexo 文章
+ * @returns {Promise<object|null>} - 语言代码 -> { translatedTitle, translatedContent }
+ */
+async function loadStoredTranslations(post) {
+    await ensureStorageLoaded();
+    const cached = storage.get(post.source);
+    const translations = {};
+    const { targetLanguages } = getPostLanguages(post);
+    targetLanguages.forEach(lang => {
+        const manualTranslation = getManualTranslation(post, lang);
+        const cachedTranslation = cached && cached.translations && cached.translations[lang];
+        if (manualTranslation) {
+            // 只含字段的缓存译文在这里与人工翻译的正文合并
+            translations[lang] = mergeManualTranslation(manualTranslation, cachedTranslation || null, post.title);
+        } else if (cachedTranslation && !cachedTranslation.fieldsOnly) {
+            translations[lang] = patchTranslation(post, lang, cachedTranslation);
+        }
+    });
+    return orderTranslations(translations, targetLanguages);
+}
+
+hexo.extend.filter.register('before_post_render', async (data) => {
+    // 健壮性检查：确保 data 及其属性存在；layouts / include / exclude / no_translate 决定是否翻译
+    if (!data || !data.content || !config || !config.enable || !isTranslatable(data)) {
+        return data;
+    }
+
+    // 内容可能已修改（hexo server），重新判断源语言
+    postLanguages.delete(data.source);
+
+    if (batchHandler) {
+        await batchHandler(data);
+        return data;
+    }
+
+    const originalTitle = data.title;
+    const postLanguage = getPostLanguages(data).sourceLanguage;
+    const translations = await collectTranslations(data);
+    // 没有任何可用翻译时保持原文
+    if (!translations) {
+        return data;
+    }
+
+    renderedTranslations.set(data.source, translations);
+
+    // 独立页面模式下原文保持不变，翻译页面由生成器输出
+    if (pageMode) {
+        return data;
+    }
+
+    // 标题使用默认显示的语言（第一个目标语言）；文章本身就是该语言时保留原标题
+    const translatedLanguages = Object.keys(translations);
+    if (postLanguage !== languages[0]) {
+        data.title = (translations[languages[0]] || translations[translatedLanguages[0]]).translatedTitle;
+    }
+    data.content = wrapContent(data.content, originalTitle, translations, postLanguage);
+
+    // front-matter 中的 excerpt 同样按语言包裹，首页摘要可随语言切换
+    if (typeof data.excerpt === 'string' && data.excerpt) {
+        const excerpts = { [postLanguage]: data.excerpt };
+        translatedLanguages.forEach(lang => {
+            const translatedFields = translations[lang].translatedFields || {};
+            excerpts[lang] = translatedFields.excerpt || data.excerpt;
+        });
+        data.excerpt = wrapText(excerpts);
+    }
+
+    // 记录标题映射用于首页/列表页
+    const titlePair = { [postLanguage]: originalTitle };
+    translatedLanguages.forEach(lang => {
+        titlePair[lang] = translations[lang].translatedTitle;
     });
+    globalTitlePairs.push(titlePair);
+    globalTermItems.push({ sourceLanguage: postLanguage, originalFields: getFrontMatterFields(data, TERM_FIELDS), translations });
+
+    return data; // 无论成功失败，必须返回 data，防止 Hexo 报错
 });
 
-// 注入 CSS 和 JS
 if (config && config.enable) {
-    registerInjectors(hexo, globalTitlePairs, storage);
+    // 内容未变化的文章直接读取缓存，不会产生额外的 API 调用
+    const getTranslations = post => renderedTranslations.get(post.source) || loadStoredTranslations(post);
+    const pathPrefix = config.path_prefix || ':lang';
+
+    if (pageMode) {
+        // 生成独立的翻译页面（如 /en/<permalink>）
+        registerPageGenerator(hexo, { pathPrefix, getTranslations, isTranslatable });
+    } else {
+        // 注入 CSS 和 JS；人工翻译的标题与覆盖的标签、分类、描述优先于缓存中的 LLM 译文
+        const manualOverrides = getManualOverrides();
+        globalTitlePairs.push(...manualOverrides.titlePairs);
+        globalTermItems.push(...manualOverrides.termItems);
+        registerInjectors(hexo, globalTitlePairs, storage, languages, config.switcher, sourceLanguage, globalTermItems);
+    }
+
+    // hexo translate：不经过 hexo generate 批量翻译并写入缓存
+    registerTranslateCommand(hexo, {
+        collectTranslations,
+        canTranslate,
+        usageTracker,
+        isTranslatable,
+        setBatchHandler: handler => {
+            batchHandler = handler;
+        }
+    });
+    // hexo translate:cache：status / prune / delete / export / import / migrate
+    registerCacheCommand(hexo, {
+        storage,
+        loadStorage: ensureStorageLoaded,
+        inspectCache,
+        setBatchHandler: handler => {
+            batchHandler = handler;
+        }
+    });
+    // hexo translate:manual：把译文导出为 .<lang>.md 供人工审校 / 检查人工翻译是否过期
+    registerManualCommand(hexo, {
+        collectTranslations,
+        getPostLanguages,
+        isTranslatable,
+        setBatchHandler: handler => {
+            batchHandler = handler;
+        }
+    });
+
+    // hreflang、og:locale 与翻译后的 meta description
+    if (config.seo !== false) {
+        registerSeoFilter(hexo, {
+            pageMode,
+            pathPrefix,
+            getTranslations,
+            getSourceLanguage: post => getPostLanguages(post).sourceLanguage,
+            displayLanguage: languages[0]
+        });
+    }
+
+    // 按语言输出订阅：源语言在 feed.path，其他语言在 path_prefix 下（如 /en/atom.xml）
+    let feed = null;
+    try {
+        feed = getFeedOptions(config.feed);
+    } catch (error) {
+        hexo.log.error(`[AI Translate] Invalid feed config, feeds are not generated: ${error.message}`);
+    }
+    if (feed) {
+        registerFeedGenerator(hexo, {
+            feed,
+            languages: siteLanguages,
+            pageMode,
+            pathPrefix,
+            getTranslations,
+            getSourceLanguage: post => getPostLanguages(post).sourceLanguage,
+            getOriginalTitle,
+            isTranslatable
+        });
+    }
+
+    // 按语言输出搜索索引，每条记录标注 lang，主题搜索可按当前语言过滤
+    let search = null;
+    try {
+        search = getSearchOptions(config.search);
+    } catch (error) {
+        hexo.log.error(`[AI Translate] Invalid search config, the search index is not generated: ${error.message}`);
+    }
+    if (search) {
+        registerSearchGenerator(hexo, {
+            search,
+            languages: siteLanguages,
+            pageMode,
+            pathPrefix,
+            getTranslations,
+            getSourceLanguage: post => getPostLanguages(post).sourceLanguage,
+            getOriginalTitle,
+            isTranslatable
+        });
+    }
 }
 
+// 每次构建结束时输出本次的 token 用量，并重置统计与预算
+hexo.on('generateAfter', () => {
+    const totals = usageTracker.getTotals();
+    if (totals.requests > 0) {
+        hexo.log.info(`[AI Translate] Usage this build: ${formatUsage(totals)}`);
+    }
+    usageTracker.reset();
+    budgetWarned = false;
+    warnedOnce.clear();
+});
+
 // 确保在 Hexo 退出时关闭数据库连接
 hexo.on('exit', async () => {
     if (storage.close) {
@@ -0,0 +1,147 @@
+/**
+ * Cache entry format
+ * Entries store the raw translations and their metadata; wrapping for display happens at render time,
+ * so changes to the wrapper markup or the injected scripts never invalidate the cache.
+ */
+
+/**
+ * Current entry format version
+ * 1: { hash, model, originalTitle, translatedTitle, wrappedContent } (English only, wrapped HTML)
+ * 2: { version, hash, model, prompt, sourceLanguage, createdAt, updatedAt, originalTitle, originalFields, translations: { <lang>: translation } }
+ *    (entries without sourceLanguage were written before source language detection and are Chinese)
+ */
+const CACHE_FORMAT_VERSION = 2;
+
+/**
+ * The source and only target language of version 1 entries
+ */
+const V1_SOURCE_LANGUAGE = 'zh';
+const V1_LANGUAGE = 'en';
+
+/**
+ * Marks the translated part of a version 1 `wrappedContent`
+ */
+const V1_TRANSLATION_START = '<div class="hexo-llm-en">\n\n';
+const V1_TRANSLATION_END = '\n\n</div>';
+
+/**
+ * Creates a cache entry
+ * @param {object} options - Entry contents
+ * @param {string} options.hash - Hash of the source content, title, fields, glossary and prompt
+ * @param {string} options.model - Model that produced the translations
+ * @param {string} [options.prompt=''] - Prompt version
+ * @param {string} options.sourceLanguage - Language of the original post
+ * @param {string} options.originalTitle - Source title
+ * @param {object} [options.originalFields={}] - Source front-matter fields
+ * @param {Object<string, object>} options.translations - Translations keyed by language
+ * @param {object} [previous] - Entry being replaced, keeps its creation date
+ * @returns {object} - Cache entry
+ */
+function createCacheEntry({ hash, model, prompt = '', sourceLanguage, originalTitle, originalFields = {}, translations }, previous) {
+    const now = new Date().toISOString();
+    return {
+        version: CACHE_FORMAT_VERSION,
+        hash,
+        model,
+        prompt,
+        sourceLanguage,
+        createdAt: (previous && previous.createdAt) || now,
+        updatedAt: now,
+        originalTitle,
+        originalFields,
+        translations
+    };
+}
+
+/**
+ * Adds the metadata of one translation
+ * @param {object} translation - Translation from translateContent()
+ * @param {string} language - Target language
+ * @param {string} model - Model that produced it
+ * @returns {object} - Translation with language, model and translatedAt
+ */
+function createTranslationRecord(translation, language, model) {
+    return { ...translation, language, model, translatedAt: new Date().toISOString() };
+}
+
+/**
+ * Extracts the translated body from a version 1 `wrappedContent`
+ * @param {string} wrappedContent - Wrapped HTML with the original and the English body
+ * @returns {string|null} - English body, or null when the markup is not recognized
+ */
+function unwrapV1Content(wrappedContent) {
+    const start = wrappedContent.lastIndexOf(V1_TRANSLATION_START);
+    if (start === -1 || !wrappedContent.endsWith(V1_TRANSLATION_END)) return null;
+    return wrappedContent.slice(start + V1_TRANSLATION_START.length, -V1_TRANSLATION_END.length);
+}
+
+/**
+ * Upgrades an entry written by an older version to the current format
+ * Version 1 entries keep their hash, so posts that did not change are still cache hits after the upgrade.
+ * @param {object} entry - Stored entry
+ * @returns {object|null} - Upgraded entry, or null when it is current or cannot be upgraded
+ */
+function upgradeCacheEntry(entry) {
+    if (!entry || typeof entry !== 'object' || entry.version >= CACHE_FORMAT_VERSION) return null;
+
+    if (typeof entry.wrappedContent === 'string') {
+        const translatedContent = unwrapV1Content(entry.wrappedContent);
+        if (translatedContent === null) return null;
+        return {
+            version: CACHE_FORMAT_VERSION,
+            hash: entry.hash,
+            model: entry.model,
+            prompt: '',
+            sourceLanguage: V1_SOURCE_LANGUAGE,
+            createdAt: entry.updatedAt || null,
+            updatedAt: entry.updatedAt || null,
+            originalTitle: entry.originalTitle || null,
+            originalFields: {},
+            translations: {
+                [V1_LANGUAGE]: {
+                    translatedTitle: entry.translatedTitle,
+                    translatedContent,
+                    translatedFields: {},
+                    language: V1_LANGUAGE,
+                    model: entry.model
+                }
+            }
+        };
+    }
+
+    // Entries with per-language translations but no version yet only lack metadata
+    if (!entry.translations) return null;
+    const translations = {};
+    Object.keys(entry.translations).forEach(lang => {
+        translations[lang] = { ...entry.translations[lang], language: lang, model: entry.translations[lang].model || entry.model };
+    });
+    return {
+        ...entry,
+        version: CACHE_FORMAT_VERSION,
+        prompt: entry.prompt || '',
+        createdAt: entry.createdAt || entry.updatedAt || null,
+        translations
+    };
+}
+
+/**
+ * Upgrades every outdated entry
+ * Entries that cannot be upgraded are left as they are; they never match and are replaced by the next translation.
+ * @param {Object<string, object>} entries - Entries keyed by source path
+ * @returns {Object<string, object>} - Upgraded entries keyed by source path
+ */
+function upgradeCacheEntries(entries) {
+    const upgraded = {};
+    Object.keys(entries).forEach(key => {
+        const result = upgradeCacheEntry(entries[key]);
+        if (result) upgraded[key] = result;
+    });
+    return upgraded;
+}
+
+module.exports = {
+    createCacheEntry,
+    createTranslationRecord,
+    upgradeCacheEntry,
+    upgradeCacheEntries
+};
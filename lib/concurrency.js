@@ -29,29 +29,203 @@ function createConcurrencyLimiter(limit = 2) {
     };
 }
 
+/**
+ * Creates a scheduler that keeps requests within requests-per-minute and tokens-per-minute limits
+ * Usage is counted over a sliding 60 second window; a pause (e.g. from a 429 Retry-After) holds back every request.
+ * @param {object} [options] - Scheduler options
+ * @param {number} [options.requestsPerMinute=0] - Maximum requests per minute, 0 for no limit
+ * @param {number} [options.tokensPerMinute=0] - Maximum tokens (input + output) per minute, 0 for no limit
+ * @returns {object} - Scheduler with acquire(), settle() and pause()
+ */
+function createRequestScheduler({ requestsPerMinute = 0, tokensPerMinute = 0 } = {}) {
+    const windowMs = 60000;
+    const requests = [];
+    const tokens = [];
+    let pausedUntil = 0;
+
+    const prune = (now) => {
+        while (requests.length > 0 && requests[0] <= now - windowMs) requests.shift();
+        while (tokens.length > 0 && tokens[0].time <= now - windowMs) tokens.shift();
+    };
+    const usedTokens = () => tokens.reduce((sum, entry) => sum + entry.count, 0);
+
+    /**
+     * Returns how long a request of the given size has to wait, 0 when it can be sent now
+     * @param {number} count - Estimated tokens of the request
+     * @param {number} now - Current time
+     * @returns {number} - Wait time in milliseconds
+     */
+    const getWait = (count, now) => {
+        let wait = Math.max(0, pausedUntil - now);
+        if (requestsPerMinute > 0 && requests.length >= requestsPerMinute) {
+            wait = Math.max(wait, requests[requests.length - requestsPerMinute] + windowMs - now);
+        }
+        // A request larger than the whole budget is let through once the window is empty
+        if (tokensPerMinute > 0 && tokens.length > 0 && usedTokens() + count > tokensPerMinute) {
+            wait = Math.max(wait, tokens[0].time + windowMs - now);
+        }
+        return wait;
+    };
+
+    return {
+        /**
+         * Waits until a request may be sent and reserves its place in the window
+         * @param {number} [count=0] - Estimated tokens of the request
+         * @returns {Promise<void>}
+         */
+        async acquire(count = 0) {
+            for (;;) {
+                const now = Date.now();
+                prune(now);
+                const wait = getWait(count, now);
+                if (wait <= 0) {
+                    requests.push(now);
+                    if (count > 0) tokens.push({ time: now, count });
+                    return;
+                }
+                await new Promise(resolve => setTimeout(resolve, wait));
+            }
+        },
+        /**
+         * Corrects the reserved tokens once the real usage of a request is known
+         * @param {number} estimated - Tokens reserved with acquire()
+         * @param {number} actual - Tokens reported by the API
+         */
+        settle(estimated, actual) {
+            if (actual !== estimated) tokens.push({ time: Date.now(), count: actual - estimated });
+        },
+        /**
+         * Holds back all requests for a while
+         * @param {number} ms - Pause in milliseconds
+         */
+        pause(ms) {
+            pausedUntil = Math.max(pausedUntil, Date.now() + ms);
+        }
+    };
+}
+
+/**
+ * Statuses worth retrying: timeouts, conflicts, rate limits and server errors
+ * @param {number} status - HTTP status
+ * @returns {boolean}
+ */
+function isRetriableStatus(status) {
+    return status === 408 || status === 409 || status === 429 || status >= 500;
+}
+
+/**
+ * Reads the delay requested by a Retry-After (seconds or HTTP date) or retry-after-ms header
+ * @param {Headers} headers - Response headers
+ * @returns {number|null} - Delay in milliseconds, or null when the response does not ask for one
+ */
+function getRetryAfter(headers) {
+    const ms = Number(headers.get('retry-after-ms'));
+    if (ms > 0) return ms;
+    const value = headers.get('retry-after');
+    if (!value) return null;
+    const seconds = Number(value);
+    if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Extracts a short error description from an error response body
+ * @param {Response} response - Fetch response
+ * @returns {Promise<string>} - API error message, or '' when there is none
+ */
+async function readErrorMessage(response) {
+    const text = await response.text().catch(() => '');
+    try {
+        const body = JSON.parse(text);
+        const error = Array.isArray(body) ? body[0]?.error : body.error;
+        const message = typeof error === 'string' ? error : (error?.message || body.message);
+        if (message) return String(message);
+    } catch (e) {
+        // Not JSON, fall back to the raw text
+    }
+    return text.trim().slice(0, 200);
+}
+
+/**
+ * Creates the error thrown for an unsuccessful response
+ * @param {number} status - HTTP status
+ * @param {string} message - API error message
+ * @returns {Error} - Error with `status` and `retriable`
+ */
+function createHttpError(status, message) {
+    let hint = '';
+    if (status === 401 || status === 403) {
+        hint = ' (authentication failed, check LLM_API_KEY, provider and endpoint)';
+    } else if (!isRetriableStatus(status)) {
+        hint = ' (request rejected, not retried)';
+    }
+    const error = new Error(`HTTP ${status}${hint}${message ? `: ${message}` : ''}`);
+    error.status = status;
+    error.retriable = isRetriableStatus(status);
+    return error;
+}
+
 /**
  * Fetches with retry logic for resilient API calls
+ * Only rate limits, server errors, timeouts and network errors are retried, with exponential backoff and jitter
+ * (or the delay from Retry-After); authentication and bad-request errors fail immediately.
  * @param {string} url - The URL to fetch
  * @param {object} options - Fetch options including timeout
- * @param {number} retries - Number of retry attempts
+ * @param {object} [retryOptions] - Retry options
+ * @param {number} [retryOptions.retries=2] - Number of retry attempts
+ * @param {object} [retryOptions.scheduler] - Request scheduler from createRequestScheduler(), every attempt waits for a slot
+ * @param {number} [retryOptions.tokens=0] - Estimated tokens of the request, reserved in the scheduler for each attempt and
+ *   released again when the attempt fails
  * @returns {Promise<object>} - Parsed JSON response
+ * @throws {Error} - The last error, with `status` set for HTTP errors
  */
-async function fetchWithRetry(url, options, retries = 2) {
-    for (let i = 0; i <= retries; i++) {
+async function fetchWithRetry(url, options, { retries = 2, scheduler, tokens = 0 } = {}) {
+    const baseDelay = 2000;
+    const maxDelay = 60000;
+    for (let i = 0; ; i++) {
+        let retryAfter = null;
+        let reserved = false;
         try {
+            if (scheduler) {
+                await scheduler.acquire(tokens);
+                reserved = true;
+            }
             const controller = new AbortController();
-            const timeout = options.timeout;
-            const timeoutId = setTimeout(() => controller.abort(), timeout);
+            const timeoutId = setTimeout(() => controller.abort(), options.timeout);
 
-            const response = await fetch(url, { ...options, signal: controller.signal });
-            clearTimeout(timeoutId);
+            let response;
+            try {
+                response = await fetch(url, { ...options, signal: controller.signal });
+            } catch (err) {
+                if (err.name === 'AbortError') {
+                    const error = new Error(`Request timed out after ${options.timeout}ms`);
+                    error.retriable = true;
+                    throw error;
+                }
+                // Network errors (connection refused, DNS, reset...)
+                const error = new Error(`Network error: ${err.cause?.message || err.message}`);
+                error.retriable = true;
+                throw error;
+            } finally {
+                clearTimeout(timeoutId);
+            }
 
-            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            if (!response.ok) {
+                retryAfter = getRetryAfter(response.headers);
+                throw createHttpError(response.status, await readErrorMessage(response));
+            }
             return await response.json();
         } catch (err) {
-            if (i === retries) throw err;
-            const delay = (i + 1) * 2000 + Math.random() * 1000;
-            console.warn(`[AI Translate] Retry ${i + 1}/${retries} after ${Math.round(delay)}ms...`);
+            // A failed attempt is not billed, so its tokens go back to the window (the caller settles the one that succeeds)
+            if (reserved) scheduler.settle(tokens, 0);
+            if (!err.retriable || i >= retries) throw err;
+            const delay = retryAfter !== null
+                ? Math.min(retryAfter, 5 * maxDelay)
+                : Math.min(maxDelay, baseDelay * 2 ** i) + Math.random() * baseDelay;
+            // A rate limit applies to every request, not only this one
+            if (scheduler && err.status === 429) scheduler.pause(delay);
+            console.warn(`[AI Translate] ${err.message}, retry ${i + 1}/${retries} after ${Math.round(delay)}ms...`);
             await new Promise(resolve => setTimeout(resolve, delay));
         }
     }
@@ -59,5 +233,6 @@ async function fetchWithRetry(url, options, retries = 2) {
 
 module.exports = {
     createConcurrencyLimiter,
+    createRequestScheduler,
     fetchWithRetry
 };
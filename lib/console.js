@@ -0,0 +1,586 @@
+/**
+ * Console commands module
+ * Registers `hexo translate` to translate posts and fill the cache without running `hexo generate`,
+ * `hexo translate:cache` to inspect and maintain the cache,
+ * and `hexo translate:manual` to export translations as manual translation files for review
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createConcurrencyLimiter } = require('./concurrency');
+const { matchSource } = require('./glob');
+const { formatUsage } = require('./usage');
+const { upgradeCacheEntry } = require('./cache-entry');
+const { STORAGE_BACKEND_NAMES, getStorageBackendName, createStorageBackend } = require('./storage-backends');
+const {
+    TRANSLATION_STATUSES,
+    getPostSourceHash,
+    restoreCodeFences,
+    formatManualTranslation,
+    getManualTranslationPath,
+    loadManualTranslation
+} = require('./manual-translation');
+const { getPatchPath, splitParagraphs, hashParagraph, loadTranslationPatches, findPatchedParagraphs } = require('./translation-patch');
+
+/**
+ * Identifies exported cache bundles
+ */
+const BUNDLE_FORMAT = 'hexo-translate-llm-cache';
+
+/**
+ * Checks a post or page against the --only patterns
+ * Patterns are matched against the source path (e.g. `_posts/hello.md`) and the path inside `_posts/`.
+ * @param {object} post - Post document
+ * @param {string[]} patterns - Glob patterns, empty to select every post
+ * @returns {boolean}
+ */
+function isSelected(post, patterns) {
+    return patterns.length === 0 || matchSource(patterns, post.source);
+}
+
+/**
+ * Returns all posts and pages of the processed source folder
+ * @param {object} hexo - Hexo instance
+ * @returns {object[]} - Post and page documents
+ */
+function getSourceDocuments(hexo) {
+    return hexo.model('Post').toArray().concat(hexo.model('Page').toArray());
+}
+
+/**
+ * Runs posts through the before_post_render filters with the plugin filter routed to a handler
+ * This gives the handler the same content `hexo generate` translates, without rendering or saving the posts.
+ * @param {object} hexo - Hexo instance
+ * @param {object[]} posts - Post and page documents
+ * @param {function(function|null): void} setBatchHandler - Routes posts reaching the plugin filter to a handler
+ * @param {function(object): Promise<void>} handler - Called with the post data of each post
+ */
+async function processPosts(hexo, posts, setBatchHandler, handler) {
+    setBatchHandler(handler);
+    try {
+        await Promise.all(posts.map(post => {
+            const data = Object.assign(Object.create(Object.getPrototypeOf(post)), post, { content: post._content });
+            return hexo.execFilter('before_post_render', data, { context: hexo });
+        }));
+    } finally {
+        setBatchHandler(null);
+    }
+}
+
+/**
+ * Registers the `hexo translate` console command
+ * @param {object} hexo - Hexo instance
+ * @param {object} options - Command options
+ * @param {function(object, object): Promise<object|null>} options.collectTranslations - Translates one post (see index.js)
+ * @param {boolean} options.canTranslate - Whether the provider, model and API key are configured
+ * @param {object} options.usageTracker - Build usage tracker, its totals are printed with the summary
+ * @param {function(object): boolean} options.isTranslatable - Whether a post or page is translated (layouts, include/exclude, no_translate)
+ * @param {function(function|null): void} options.setBatchHandler - Routes posts reaching the before_post_render filter to the command
+ */
+function registerTranslateCommand(hexo, { collectTranslations, canTranslate, usageTracker, isTranslatable, setBatchHandler }) {
+    hexo.extend.console.register('translate', 'Translate posts and fill the translation cache', {
+        usage: '[options]',
+        options: [
+            { name: '-f, --force', desc: 'Translate again even if a cached translation exists' },
+            { name: '--only <glob>', desc: 'Only translate posts and pages whose source path matches the glob (repeatable)' },
+            { name: '--dry-run', desc: 'List what would be translated with estimated tokens, without calling the API' },
+            { name: '--concurrency <n>', desc: 'Maximum concurrent requests, defaults to max_concurrency' }
+        ]
+    }, async function (args) {
+        const force = !!(args.force || args.f);
+        const dryRun = !!args['dry-run'];
+        const patterns = [].concat(args.only || []).map(String);
+        const concurrency = Number(args.concurrency);
+
+        if (!dryRun && !canTranslate) {
+            hexo.log.error('[AI Translate] Translation is not configured (see the warnings above), nothing was translated.');
+            process.exitCode = 1;
+            return;
+        }
+
+        // Only process the source folder: the database is not loaded, so rendered posts are never saved by this command
+        await hexo.source.process();
+        const posts = getSourceDocuments(hexo).filter(post => isTranslatable(post) && isSelected(post, patterns));
+        if (posts.length === 0) {
+            hexo.log.warn('[AI Translate] No posts matched.');
+            return;
+        }
+
+        const summary = { translated: 0, cached: 0, manual: 0, failed: 0, skipped: 0, pending: 0 };
+        const estimate = { inputTokens: 0, outputTokens: 0 };
+        const failures = [];
+        const limit = concurrency > 0 ? createConcurrencyLimiter(concurrency) : undefined;
+
+        await processPosts(hexo, posts, setBatchHandler, data => collectTranslations(data, {
+            force,
+            dryRun,
+            limit,
+            report: (lang, status, detail = {}) => {
+                summary[status]++;
+                if (status === 'pending') {
+                    estimate.inputTokens += detail.inputTokens;
+                    estimate.outputTokens += detail.outputTokens;
+                    hexo.log.info(`[AI Translate] Would translate (${lang}): ${data.source} (~${detail.inputTokens} input / ~${detail.outputTokens} output tokens)`);
+                } else if (status === 'failed') {
+                    failures.push(`${data.source} (${lang})`);
+                }
+            }
+        }));
+
+        if (dryRun) {
+            hexo.log.info(`[AI Translate] Dry run: ${summary.pending} to translate (~${estimate.inputTokens} input / ~${estimate.outputTokens} output tokens), ${summary.cached} cached, ${summary.manual} manual`);
+            return;
+        }
+        const skipped = summary.skipped > 0 ? `, ${summary.skipped} skipped (budget exceeded)` : '';
+        hexo.log.info(`[AI Translate] Done: ${summary.translated} translated, ${summary.cached} cached, ${summary.manual} manual, ${summary.failed} failed${skipped}`);
+        hexo.log.info(`[AI Translate] Usage: ${formatUsage(usageTracker.getTotals())}`);
+        if (failures.length > 0) {
+            hexo.log.error(`[AI Translate] Failed: ${failures.join(', ')}`);
+            process.exitCode = 1;
+        }
+    });
+}
+
+/**
+ * Serializes cache entries as a portable bundle
+ * @param {Object<string, object>} entries - Cache entries keyed by source path
+ * @param {string} format - 'json' or 'ndjson'
+ * @returns {string} - Bundle text
+ */
+function serializeBundle(entries, format) {
+    if (format === 'ndjson') {
+        return Object.keys(entries)
+            .map(source => JSON.stringify({ source, entry: entries[source] }))
+            .join('\n') + '\n';
+    }
+    return JSON.stringify({
+        format: BUNDLE_FORMAT,
+        version: 1,
+        exportedAt: new Date().toISOString(),
+        entries
+    }, null, 2);
+}
+
+/**
+ * Parses a bundle written by serializeBundle()
+ * @param {string} text - Bundle text
+ * @param {string} [format] - 'json' or 'ndjson', detected from the content when omitted
+ * @returns {Object<string, object>} - Cache entries keyed by source path
+ * @throws {Error} - If the bundle is malformed
+ */
+function parseBundle(text, format) {
+    const entries = {};
+    let bundle = null;
+    if (format !== 'ndjson') {
+        try {
+            bundle = JSON.parse(text);
+        } catch (e) {
+            // A multi-line NDJSON file is not valid JSON
+            if (format === 'json') throw e;
+        }
+    }
+    // Without --format, a single-line NDJSON file parses as JSON but has no bundle header
+    const isJson = format === 'json' || (!format && !!bundle && bundle.format === BUNDLE_FORMAT);
+    if (isJson) {
+        if (!bundle || bundle.format !== BUNDLE_FORMAT || typeof bundle.entries !== 'object') {
+            throw new Error(`Not a ${BUNDLE_FORMAT} bundle`);
+        }
+        Object.assign(entries, bundle.entries);
+    } else {
+        text.split(/\r?\n/).forEach((line, index) => {
+            if (!line.trim()) return;
+            let item;
+            try {
+                item = JSON.parse(line);
+            } catch (e) {
+                throw new Error(`Line ${index + 1}: ${e.message}`);
+            }
+            if (!item || typeof item.source !== 'string' || !item.entry) {
+                throw new Error(`Line ${index + 1}: expected {"source": ..., "entry": ...}`);
+            }
+            entries[item.source] = item.entry;
+        });
+    }
+
+    Object.keys(entries).forEach(source => {
+        const entry = entries[source];
+        if (!entry || typeof entry !== 'object' || typeof entry.hash !== 'string') {
+            throw new Error(`Invalid entry for ${source}`);
+        }
+    });
+    return entries;
+}
+
+/**
+ * Returns the bundle format from the --format option or the file extension
+ * @param {string} [format] - --format value
+ * @param {string} file - Bundle file path
+ * @returns {string|undefined} - 'json', 'ndjson', or undefined to detect from the content
+ */
+function getBundleFormat(format, file) {
+    if (format) {
+        const normalized = String(format).toLowerCase();
+        if (!['json', 'ndjson'].includes(normalized)) {
+            throw new Error(`Unknown format "${format}" (expected json or ndjson)`);
+        }
+        return normalized;
+    }
+    const ext = path.extname(file).toLowerCase();
+    if (ext === '.ndjson' || ext === '.jsonl') return 'ndjson';
+    if (ext === '.json') return 'json';
+    return undefined;
+}
+
+/**
+ * Registers the `hexo translate:cache` console command
+ * @param {object} hexo - Hexo instance
+ * @param {object} options - Command options
+ * @param {object} options.storage - Storage instance
+ * @param {function(): Promise<object>} options.loadStorage - Loads the storage from its backend
+ * @param {function(object): Promise<{ status: string }>} options.inspectCache - Checks whether a post's entry is up to date (fresh, stale, missing or manual)
+ * @param {function(function|null): void} options.setBatchHandler - Routes posts reaching the before_post_render filter to the command
+ */
+function registerCacheCommand(hexo, { storage, loadStorage, inspectCache, setBatchHandler }) {
+    const log = hexo.log;
+
+    const commands = {
+        async status() {
+            await loadStorage();
+            await hexo.source.process();
+            const posts = getSourceDocuments(hexo);
+            const sources = new Set(posts.map(post => post.source));
+
+            const states = new Map();
+            await processPosts(hexo, posts, setBatchHandler, async data => {
+                states.set(data.source, (await inspectCache(data)).status);
+            });
+
+            const counts = { fresh: 0, stale: 0, orphaned: 0 };
+            storage.keys().sort().forEach(source => {
+                const entry = storage.get(source);
+                // Sources skipped by the filter (no_translate, excluded paths or layouts) have no state and count as stale
+                const status = sources.has(source) ? (states.get(source) === 'fresh' ? 'fresh' : 'stale') : 'orphaned';
+                counts[status]++;
+                const languages = Object.keys(entry.translations || {}).join(',') || '-';
+                log.info(`${status.padEnd(8)} ${source}  model=${entry.model || '-'} languages=${languages} updated=${entry.updatedAt || '-'}`);
+            });
+
+            const missing = [...states.values()].filter(status => status === 'missing').length;
+            log.info(`[AI Translate] ${storage.keys().length} cached: ${counts.fresh} fresh, ${counts.stale} stale, ${counts.orphaned} orphaned; not cached yet: ${missing}`);
+        },
+
+        async prune(args) {
+            await loadStorage();
+            const orphaned = storage.keys().filter(source => !fs.existsSync(path.join(hexo.source_dir, source)));
+            orphaned.forEach(source => log.info(`${args['dry-run'] ? 'Would remove' : 'Removing'} ${source}`));
+            if (!args['dry-run'] && orphaned.length > 0) {
+                await storage.delete(orphaned);
+            }
+            log.info(`[AI Translate] ${orphaned.length} orphaned entries ${args['dry-run'] ? 'found' : 'removed'}`);
+        },
+
+        async delete(args) {
+            const patterns = args._.slice(1).map(String);
+            if (patterns.length === 0) {
+                throw new Error('Usage: hexo translate:cache delete <source|glob>...');
+            }
+            await loadStorage();
+            const matched = storage.keys().filter(source => matchSource(patterns, source));
+            if (matched.length > 0) {
+                await storage.delete(matched);
+            }
+            matched.forEach(source => log.info(`Removed ${source}`));
+            log.info(`[AI Translate] ${matched.length} entries removed`);
+        },
+
+        async export(args) {
+            const file = args._[1];
+            if (!file) {
+                throw new Error('Usage: hexo translate:cache export <file> [--format json|ndjson]');
+            }
+            await loadStorage();
+            const entries = {};
+            storage.keys().forEach(source => {
+                entries[source] = storage.get(source);
+            });
+            const format = getBundleFormat(args.format, file) || 'json';
+            fs.writeFileSync(path.resolve(hexo.base_dir, file), serializeBundle(entries, format));
+            log.info(`[AI Translate] Exported ${Object.keys(entries).length} entries to ${file} (${format})`);
+        },
+
+        async import(args) {
+            const file = args._[1];
+            if (!file) {
+                throw new Error('Usage: hexo translate:cache import <file> [--format json|ndjson] [--keep-existing]');
+            }
+            const text = fs.readFileSync(path.resolve(hexo.base_dir, file), 'utf8');
+            const entries = parseBundle(text, getBundleFormat(args.format, file));
+            await loadStorage();
+            const imported = {};
+            Object.keys(entries).forEach(source => {
+                if (args['keep-existing'] && storage.get(source)) return;
+                // Bundles exported by older versions may hold entries in an older format
+                imported[source] = upgradeCacheEntry(entries[source]) || entries[source];
+            });
+            await storage.saveMany(imported);
+            const skipped = Object.keys(entries).length - Object.keys(imported).length;
+            log.info(`[AI Translate] Imported ${Object.keys(imported).length} entries from ${file}${skipped > 0 ? ` (${skipped} existing kept)` : ''}`);
+        },
+
+        async migrate(args) {
+            const from = String(args.from || getStorageBackendName(storage.config)).toLowerCase();
+            const to = args.to && String(args.to).toLowerCase();
+            if (!to) {
+                throw new Error(`Usage: hexo translate:cache migrate --to <${STORAGE_BACKEND_NAMES.join('|')}> [--from <backend>] [--keep-existing]`);
+            }
+            if (from === to) {
+                throw new Error(`--from and --to are both "${from}"`);
+            }
+            // Both backends are opened directly, so a failing backend is reported instead of falling back to the local file
+            const source = createStorageBackend(hexo, from, storage.config);
+            let target;
+            try {
+                target = createStorageBackend(hexo, to, storage.config);
+                const entries = await source.load();
+                const existing = args['keep-existing'] ? await target.load() : {};
+                const migrated = {};
+                Object.keys(entries).forEach(key => {
+                    if (existing[key]) return;
+                    migrated[key] = entries[key];
+                });
+                await target.save(migrated);
+                const skipped = Object.keys(entries).length - Object.keys(migrated).length;
+                log.info(`[AI Translate] Copied ${Object.keys(migrated).length} entries from ${source.description} to ${target.description}${skipped > 0 ? ` (${skipped} existing kept)` : ''}`);
+            } finally {
+                await source.close();
+                if (target) await target.close();
+            }
+        }
+    };
+
+    hexo.extend.console.register('translate:cache', 'Inspect and maintain the translation cache', {
+        usage: '<status|prune|delete|export|import|migrate> [args]',
+        arguments: [
+            { name: 'status', desc: 'List cached entries with model, languages, date and whether they are up to date' },
+            { name: 'prune', desc: 'Remove entries whose source file no longer exists (--dry-run to only list them)' },
+            { name: 'delete <source|glob>...', desc: 'Remove specific entries' },
+            { name: 'export <file>', desc: 'Write the cache to a JSON or NDJSON bundle' },
+            { name: 'import <file>', desc: 'Load a bundle into the cache (--keep-existing to skip entries already cached)' },
+            { name: 'migrate', desc: 'Copy every entry from one storage backend to another (--keep-existing to skip entries the target already has)' }
+        ],
+        options: [
+            { name: '--format <json|ndjson>', desc: 'Bundle format, detected from the file extension by default' },
+            { name: '--from <backend>', desc: `Backend to migrate from (${STORAGE_BACKEND_NAMES.join(', ')}), the configured backend by default` },
+            { name: '--to <backend>', desc: 'Backend to migrate to' }
+        ]
+    }, async function (args) {
+        const subcommand = args._[0] || 'status';
+        if (!Object.prototype.hasOwnProperty.call(commands, subcommand)) {
+            log.error(`[AI Translate] Unknown subcommand "${subcommand}" (expected ${Object.keys(commands).join(', ')})`);
+            process.exitCode = 1;
+            return;
+        }
+        try {
+            await commands[subcommand](args);
+        } catch (error) {
+            log.error(`[AI Translate] ${error.message}`);
+            process.exitCode = 1;
+        }
+    });
+}
+
+/**
+ * Registers the `hexo translate:manual` console command
+ * @param {object} hexo - Hexo instance
+ * @param {object} options - Command options
+ * @param {function(object, object): Promise<object|null>} options.collectTranslations - Translates one post (see index.js), used as a dry run
+ * @param {function(object): { sourceLanguage: string, targetLanguages: string[] }} options.getPostLanguages - Source and target languages of a post
+ * @param {function(object): boolean} options.isTranslatable - Whether a post or page is translated (layouts, include/exclude, no_translate)
+ * @param {function(function|null): void} options.setBatchHandler - Routes posts reaching the before_post_render filter to the command
+ */
+function registerManualCommand(hexo, { collectTranslations, getPostLanguages, isTranslatable, setBatchHandler }) {
+    const log = hexo.log;
+
+    /**
+     * Processes the source folder and returns the selected posts
+     * @param {object} args - Command arguments
+     * @returns {Promise<object[]>}
+     */
+    async function getPosts(args) {
+        const patterns = [].concat(args.only || []).map(String);
+        await hexo.source.process();
+        return getSourceDocuments(hexo).filter(post => isTranslatable(post) && isSelected(post, patterns));
+    }
+
+    /**
+     * Returns the target languages of a post, limited by --lang
+     * @param {object} post - Post document
+     * @param {object} args - Command arguments
+     * @returns {string[]}
+     */
+    function getLanguages(post, args) {
+        const only = [].concat(args.lang || []).map(String);
+        const { targetLanguages } = getPostLanguages(post);
+        return only.length > 0 ? targetLanguages.filter(lang => only.includes(lang)) : targetLanguages;
+    }
+
+    const commands = {
+        async export(args) {
+            const posts = await getPosts(args);
+            const counts = { exported: 0, existing: 0, missing: 0 };
+
+            await processPosts(hexo, posts, setBatchHandler, async data => {
+                const languages = getLanguages(data, args);
+                if (languages.length === 0) return;
+
+                const existingFiles = {};
+                languages.forEach(lang => {
+                    existingFiles[lang] = loadManualTranslation(data.source, hexo.source_dir, lang);
+                });
+                // Reviewed and hand-written files are never replaced, --overwrite refreshes every earlier export
+                const overwritable = languages.filter(lang =>
+                    args.overwrite && existingFiles[lang] && existingFiles[lang].status === 'machine');
+
+                // Nothing is translated here: only languages served from an up-to-date cache entry are exported.
+                // Exports being overwritten are skipped, so the cache is read instead of the file itself
+                const cached = new Set();
+                const translations = await collectTranslations(data, {
+                    dryRun: true,
+                    ignoreManual: overwritable,
+                    report: (lang, status) => {
+                        if (status === 'cached') cached.add(lang);
+                    }
+                }) || {};
+                const sourceHash = getPostSourceHash(data);
+
+                languages.forEach(lang => {
+                    const file = getManualTranslationPath(data.source, hexo.source_dir, lang);
+                    const relative = path.relative(hexo.base_dir, file);
+                    const existing = existingFiles[lang];
+                    if (existing && !overwritable.includes(lang)) {
+                        counts.existing++;
+                        log.info(`Kept ${relative} (${existing.status || 'manual'})`);
+                        return;
+                    }
+                    if (!cached.has(lang)) {
+                        counts.missing++;
+                        log.warn(`[AI Translate] No up-to-date cached translation (${lang}): ${data.source}`);
+                        return;
+                    }
+                    const translation = translations[lang];
+                    fs.writeFileSync(file, formatManualTranslation({
+                        title: translation.translatedTitle,
+                        content: restoreCodeFences(translation.translatedContent, data._content),
+                        fields: translation.translatedFields,
+                        sourceHash,
+                        model: translation.model
+                    }));
+                    counts.exported++;
+                    log.info(`Exported ${relative}`);
+                });
+            });
+
+            log.info(`[AI Translate] ${counts.exported} exported, ${counts.existing} existing kept, ${counts.missing} not cached`);
+            if (counts.missing > 0) {
+                log.info('[AI Translate] Run `hexo translate` first to translate the posts that are not cached.');
+            }
+        },
+
+        async status(args) {
+            const posts = await getPosts(args);
+            const counts = { fresh: 0, stale: 0, unchecked: 0 };
+
+            posts.sort((a, b) => a.source.localeCompare(b.source)).forEach(post => {
+                const sourceHash = getPostSourceHash(post);
+                getLanguages(post, args).forEach(lang => {
+                    const manualTranslation = loadManualTranslation(post.source, hexo.source_dir, lang);
+                    if (!manualTranslation) return;
+                    // Files without a source_hash were written by hand before the review workflow and cannot be checked
+                    const state = !manualTranslation.sourceHash
+                        ? 'unchecked'
+                        : (manualTranslation.sourceHash === sourceHash ? 'fresh' : 'stale');
+                    counts[state]++;
+                    const relative = path.relative(hexo.base_dir, getManualTranslationPath(post.source, hexo.source_dir, lang));
+                    const current = state === 'stale' ? ` source_hash=${sourceHash} (was ${manualTranslation.sourceHash})` : '';
+                    log.info(`${state.padEnd(9)} ${relative}  status=${manualTranslation.status || '-'}${current}`);
+                    if (manualTranslation.status && !TRANSLATION_STATUSES.includes(manualTranslation.status)) {
+                        log.warn(`[AI Translate] Unknown translation_status "${manualTranslation.status}" in ${relative}, expected one of: ${TRANSLATION_STATUSES.join(', ')}`);
+                    }
+                });
+            });
+
+            log.info(`[AI Translate] Manual translations: ${counts.fresh} fresh, ${counts.stale} stale, ${counts.unchecked} unchecked`);
+            if (counts.stale > 0) {
+                log.info('[AI Translate] Update the stale translations, then set their source_hash to the current one listed above.');
+            }
+
+            // Patch files: every patch must still match exactly one paragraph of the original
+            let unmatched = 0;
+            posts.forEach(post => {
+                const paragraphs = splitParagraphs(post._content || '');
+                getLanguages(post, args).forEach(lang => {
+                    const relative = path.relative(hexo.base_dir, getPatchPath(post.source, hexo.source_dir, lang));
+                    let patches;
+                    try {
+                        patches = loadTranslationPatches(post.source, hexo.source_dir, lang);
+                    } catch (error) {
+                        unmatched++;
+                        log.warn(`invalid   ${relative}  ${error.message}`);
+                        return;
+                    }
+                    if (!patches) return;
+                    const broken = patches.filter(patch => findPatchedParagraphs(paragraphs, patch).length !== 1);
+                    unmatched += broken.length;
+                    log.info(`${(broken.length > 0 ? 'stale' : 'fresh').padEnd(9)} ${relative}  ${patches.length} patches, ${broken.length} unmatched`);
+                });
+            });
+            if (unmatched > 0) {
+                log.info('[AI Translate] Patches that match no paragraph (or several) are skipped, see `hexo translate:manual paragraphs`.');
+            }
+        },
+
+        async paragraphs(args) {
+            const posts = await getPosts(args);
+            posts.sort((a, b) => a.source.localeCompare(b.source)).forEach(post => {
+                log.info(post.source);
+                splitParagraphs(post._content || '').forEach(paragraph => {
+                    const preview = paragraph.replace(/\s+/g, ' ').trim();
+                    log.info(`  ${hashParagraph(paragraph)}  ${preview.length > 60 ? `${preview.slice(0, 60)}...` : preview}`);
+                });
+            });
+        }
+    };
+
+    hexo.extend.console.register('translate:manual', 'Export translations as manual translation files for review', {
+        usage: '<export|status|paragraphs> [options]',
+        arguments: [
+            { name: 'export', desc: 'Write up-to-date cached translations as .<lang>.md files with translation_status: machine' },
+            { name: 'status', desc: 'List manual translation and patch files and whether they still match the original' },
+            { name: 'paragraphs', desc: 'List the paragraph hashes of the selected posts, for use in .<lang>.patch.yml files' }
+        ],
+        options: [
+            { name: '--only <glob>', desc: 'Only posts and pages whose source path matches the glob (repeatable)' },
+            { name: '--lang <code>', desc: 'Only this target language (repeatable)' },
+            { name: '--overwrite', desc: 'Replace earlier exports that are still translation_status: machine' }
+        ]
+    }, async function (args) {
+        const subcommand = args._[0] || 'status';
+        if (!Object.prototype.hasOwnProperty.call(commands, subcommand)) {
+            log.error(`[AI Translate] Unknown subcommand "${subcommand}" (expected ${Object.keys(commands).join(', ')})`);
+            process.exitCode = 1;
+            return;
+        }
+        try {
+            await commands[subcommand](args);
+        } catch (error) {
+            log.error(`[AI Translate] ${error.message}`);
+            process.exitCode = 1;
+        }
+    });
+}
+
+module.exports = {
+    registerTranslateCommand,
+    registerCacheCommand,
+    registerManualCommand
+};
@@ -0,0 +1,234 @@
+/**
+ * Feed module
+ * Emits one Atom or RSS 2.0 feed per site language (e.g. /atom.xml and /en/atom.xml) from the original posts
+ * and their stored translations, without the language containers and scripts of the inline mode
+ */
+
+const { getTranslatedPath, getTranslatedUrl, getTranslatedTerms } = require('./generator');
+const { summarize } = require('./seo');
+
+/**
+ * Supported feed formats
+ */
+const FEED_TYPES = ['atom', 'rss2'];
+
+/**
+ * Escapes a string for use in XML text and attributes
+ * @param {string} str - Raw string
+ * @returns {string} - Escaped string
+ */
+function escapeXml(str) {
+    return String(str)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        // Control characters are not allowed in XML 1.0
+        .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '');
+}
+
+/**
+ * Resolves the feed options from the config value
+ * @param {boolean|object} [config] - `llm_translation.feed` value, true for the defaults
+ * @returns {{ type: string, path: string, limit: number, content: boolean }|null} - Options, or null when feeds are off
+ * @throws {Error} - If the feed type is not supported
+ */
+function getFeedOptions(config) {
+    if (!config) return null;
+    const options = config === true ? {} : config;
+    if (options.enable === false) return null;
+    const type = String(options.type || 'atom').toLowerCase();
+    if (!FEED_TYPES.includes(type)) {
+        throw new Error(`Unknown feed type "${type}" (available: ${FEED_TYPES.join(', ')})`);
+    }
+    return {
+        type,
+        path: String(options.path || `${type}.xml`).replace(/^\/+/, ''),
+        limit: options.limit === undefined ? 20 : Number(options.limit) || 0,
+        content: options.content !== false
+    };
+}
+
+/**
+ * Converts a Moment, Date or date string to a Date
+ * @param {object|Date|string} date - Date value
+ * @returns {Date}
+ */
+function toDate(date) {
+    return date && typeof date.toDate === 'function' ? date.toDate() : new Date(date || Date.now());
+}
+
+/**
+ * Formats a date for the feed
+ * @param {object|Date|string} date - Moment, Date or date string
+ * @param {string} type - Feed type
+ * @returns {string} - ISO 8601 date for Atom, RFC 822 date for RSS
+ */
+function formatDate(date, type) {
+    const value = toDate(date);
+    return type === 'atom' ? value.toISOString() : value.toUTCString();
+}
+
+/**
+ * Builds an Atom feed
+ * @param {object} feed - Feed data ({ lang, title, subtitle, author, url, homeUrl, alternates, updated, entries })
+ * @returns {string} - Feed XML
+ */
+function buildAtomFeed(feed) {
+    const entries = feed.entries.map(entry => `  <entry>
+    <title>${escapeXml(entry.title)}</title>
+    <link href="${escapeXml(entry.url)}"/>
+    <id>${escapeXml(entry.url)}</id>
+    <published>${formatDate(entry.date, 'atom')}</published>
+    <updated>${formatDate(entry.updated, 'atom')}</updated>
+${entry.content !== null ? `    <content type="html">${escapeXml(entry.content)}</content>\n` : ''}    <summary type="html">${escapeXml(entry.summary)}</summary>
+${entry.tags.map(tag => `    <category term="${escapeXml(tag)}"/>\n`).join('')}  </entry>
+`).join('');
+    const alternates = feed.alternates.map(alternate =>
+        `  <link href="${escapeXml(alternate.url)}" rel="alternate" type="application/atom+xml" hreflang="${escapeXml(alternate.lang)}"/>\n`
+    ).join('');
+
+    return `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="${escapeXml(feed.lang)}">
+  <title>${escapeXml(feed.title)}</title>
+${feed.subtitle ? `  <subtitle>${escapeXml(feed.subtitle)}</subtitle>\n` : ''}  <link href="${escapeXml(feed.url)}" rel="self"/>
+  <link href="${escapeXml(feed.homeUrl)}"/>
+${alternates}  <updated>${formatDate(feed.updated, 'atom')}</updated>
+  <id>${escapeXml(feed.homeUrl)}</id>
+${feed.author ? `  <author>\n    <name>${escapeXml(feed.author)}</name>\n  </author>\n` : ''}  <generator uri="https://hexo.io/">Hexo</generator>
+${entries}</feed>
+`;
+}
+
+/**
+ * Builds an RSS 2.0 feed
+ * @param {object} feed - Feed data (see buildAtomFeed())
+ * @returns {string} - Feed XML
+ */
+function buildRssFeed(feed) {
+    const items = feed.entries.map(entry => `    <item>
+      <title>${escapeXml(entry.title)}</title>
+      <link>${escapeXml(entry.url)}</link>
+      <guid>${escapeXml(entry.url)}</guid>
+      <pubDate>${formatDate(entry.date, 'rss2')}</pubDate>
+      <description>${escapeXml(entry.summary)}</description>
+${entry.content !== null ? `      <content:encoded>${escapeXml(entry.content)}</content:encoded>\n` : ''}${entry.tags.map(tag => `      <category>${escapeXml(tag)}</category>\n`).join('')}    </item>
+`).join('');
+    const alternates = feed.alternates.map(alternate =>
+        `    <atom:link href="${escapeXml(alternate.url)}" rel="alternate" type="application/rss+xml" hreflang="${escapeXml(alternate.lang)}"/>\n`
+    ).join('');
+
+    return `<?xml version="1.0" encoding="utf-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/" xml:lang="${escapeXml(feed.lang)}">
+  <channel>
+    <title>${escapeXml(feed.title)}</title>
+    <link>${escapeXml(feed.homeUrl)}</link>
+    <atom:link href="${escapeXml(feed.url)}" rel="self" type="application/rss+xml"/>
+${alternates}    <description>${escapeXml(feed.subtitle || feed.title)}</description>
+    <language>${escapeXml(feed.lang)}</language>
+    <lastBuildDate>${formatDate(feed.updated, 'rss2')}</lastBuildDate>
+    <generator>Hexo</generator>
+${items}  </channel>
+</rss>
+`;
+}
+
+/**
+ * Registers the per-language feed generator with Hexo
+ * The feed of the default source language is written to `path`, the others under the translated path prefix.
+ * @param {object} hexo - Hexo instance
+ * @param {object} options - Generator options
+ * @param {{ type: string, path: string, limit: number, content: boolean }} options.feed - Options from getFeedOptions()
+ * @param {string[]} options.languages - Site languages, the default source language first
+ * @param {boolean} options.pageMode - Whether translations are emitted as separate pages
+ * @param {string} [options.pathPrefix=':lang'] - Path prefix template of translated pages and feeds
+ * @param {function(object): Promise<Object<string, object>|null>} options.getTranslations - Resolves the translations of a post keyed by language
+ * @param {function(object): string} options.getSourceLanguage - Resolves the language a post is written in
+ * @param {function(object): string} options.getOriginalTitle - Resolves the title a post was written with
+ * @param {function(object): boolean} options.isTranslatable - Whether a post is translated (layouts, include/exclude, no_translate)
+ */
+function registerFeedGenerator(hexo, { feed, languages, pageMode, pathPrefix = ':lang', getTranslations, getSourceLanguage, getOriginalTitle, isTranslatable }) {
+    const fullUrlFor = hexo.extend.helper.get('full_url_for').bind(hexo);
+    const feedPaths = {};
+    languages.forEach((lang, index) => {
+        feedPaths[lang] = index === 0 ? feed.path : getTranslatedPath(pathPrefix, lang, feed.path);
+    });
+
+    /**
+     * Renders Markdown the way translated pages are rendered
+     * @param {string} content - Markdown content
+     * @returns {Promise<string>} - HTML
+     */
+    async function render(content) {
+        const rendered = await hexo.post.render(null, { content, engine: 'markdown' });
+        return rendered.content;
+    }
+
+    hexo.extend.generator.register('llm_translation_feeds', async (locals) => {
+        const entries = {};
+        languages.forEach(lang => {
+            entries[lang] = [];
+        });
+        const isFull = lang => feed.limit > 0 && entries[lang].length >= feed.limit;
+
+        const posts = locals.posts.sort('-date').filter(post => post.draft !== true).toArray();
+        for (const post of posts) {
+            if (languages.every(isFull)) break;
+            const sourceLanguage = getSourceLanguage(post);
+            const translations = (isTranslatable(post) && await getTranslations(post)) || {};
+            const versions = [sourceLanguage, ...Object.keys(translations)].filter(lang => entries[lang] && !isFull(lang));
+
+            for (const lang of versions) {
+                try {
+                    const translation = lang === sourceLanguage ? null : translations[lang];
+                    let content;
+                    if (translation) {
+                        content = await render(translation.translatedContent);
+                    } else if (pageMode || Object.keys(translations).length === 0) {
+                        // The rendered post holds only the original
+                        content = post.content;
+                    } else {
+                        // Inline posts hold every language, render the original again
+                        content = await render(post._content);
+                    }
+                    const translatedFields = (translation && translation.translatedFields) || {};
+                    const description = translation ? translatedFields.description : post.description;
+                    entries[lang].push({
+                        title: translation ? translation.translatedTitle : getOriginalTitle(post),
+                        url: translation ? getTranslatedUrl(hexo, post, lang, { pageMode, pathPrefix }) : post.permalink,
+                        date: post.date,
+                        updated: post.updated || post.date,
+                        summary: description || summarize(translation ? translation.translatedContent : post._content),
+                        content: feed.content ? content : null,
+                        tags: getTranslatedTerms(post, 'tags', translatedFields)
+                    });
+                } catch (error) {
+                    hexo.log.error(`[AI Translate] Failed to add ${post.source} to the ${lang} feed: ${error.message}`);
+                }
+            }
+        }
+
+        const build = feed.type === 'atom' ? buildAtomFeed : buildRssFeed;
+        return languages.map(lang => ({
+            path: feedPaths[lang],
+            data: build({
+                lang,
+                title: hexo.config.title,
+                subtitle: hexo.config.subtitle || hexo.config.description,
+                author: hexo.config.author,
+                url: fullUrlFor(feedPaths[lang]),
+                homeUrl: fullUrlFor('/'),
+                alternates: languages.filter(other => other !== lang).map(other => ({ lang: other, url: fullUrlFor(feedPaths[other]) })),
+                updated: entries[lang].length > 0
+                    ? new Date(Math.max(...entries[lang].map(entry => toDate(entry.updated).getTime())))
+                    : new Date(),
+                entries: entries[lang]
+            })
+        }));
+    });
+}
+
+module.exports = {
+    getFeedOptions,
+    registerFeedGenerator
+};
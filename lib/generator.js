@@ -0,0 +1,138 @@
+/**
+ * Hexo Generator module
+ * Emits separate per-language pages (e.g. /en/<permalink>) from stored translations
+ */
+
+/**
+ * Builds the output path of a translated page
+ * @param {string} pathPrefix - Path prefix template, `:lang` is replaced with the language code
+ * @param {string} lang - Target language code
+ * @param {string} postPath - Original post path (e.g., 2024/01/15/hello/)
+ * @returns {string} - Path of the translated page (e.g., en/2024/01/15/hello/)
+ */
+function getTranslatedPath(pathPrefix, lang, postPath) {
+    const prefix = pathPrefix.replace(/:lang/g, lang).replace(/^\/+|\/+$/g, '');
+    return prefix ? `${prefix}/${postPath}` : postPath;
+}
+
+/**
+ * Returns the URL a post is read at in a given language
+ * @param {object} hexo - Hexo instance
+ * @param {object} post - Original post document
+ * @param {string} lang - Target language code
+ * @param {object} options - URL options
+ * @param {boolean} options.pageMode - Whether translations are emitted as separate pages
+ * @param {string} [options.pathPrefix=':lang'] - Path prefix template
+ * @returns {string} - The translated page in `pages` mode, otherwise the post with a `?lang=` parameter
+ */
+function getTranslatedUrl(hexo, post, lang, { pageMode, pathPrefix = ':lang' }) {
+    if (pageMode) {
+        return hexo.extend.helper.get('full_url_for').call(hexo, getTranslatedPath(pathPrefix, lang, post.path));
+    }
+    return `${post.permalink}?lang=${encodeURIComponent(lang)}`;
+}
+
+/**
+ * Returns the names of a post's tags or categories, translated when the translation has them
+ * @param {object} post - Post document
+ * @param {string} key - 'tags' or 'categories'
+ * @param {object} [translatedFields={}] - Translated front-matter fields
+ * @returns {string[]}
+ */
+function getTranslatedTerms(post, key, translatedFields = {}) {
+    const value = post[key];
+    const terms = value && typeof value.toArray === 'function' ? value.toArray() : [].concat(value || []);
+    const names = terms.map(term => (typeof term === 'string' ? term : term && term.name)).filter(Boolean);
+    const translated = translatedFields[key];
+    return Array.isArray(translated) && translated.length === names.length ? translated.map(String) : names;
+}
+
+/**
+ * Renders a translated post (or page) into a page object that themes can use like the original
+ * @param {object} hexo - Hexo instance
+ * @param {object} post - Original post document
+ * @param {string} lang - Target language code
+ * @param {{ translatedTitle: string, translatedContent: string, translatedFields?: object }} translation - Translation to render
+ * @param {string} pathPrefix - Path prefix template
+ * @returns {Promise<object>} - Hexo route object
+ */
+async function renderTranslatedPage(hexo, post, lang, translation, pathPrefix) {
+    // Render through the post renderer so tag plugins, excerpts and other filters still apply
+    const rendered = await hexo.post.render(null, {
+        content: translation.translatedContent,
+        engine: 'markdown'
+    });
+
+    const pagePath = getTranslatedPath(pathPrefix, lang, post.path);
+    const translatedFields = translation.translatedFields || {};
+    // Inherit everything else (date, tags, categories, prev/next...) from the original post
+    // (defineProperty is needed because virtuals such as `path` are getters on the document prototype)
+    const page = Object.assign(Object.create(Object.getPrototypeOf(post)), post);
+    // Other translated fields (e.g. a cover image alt text from a manual translation) replace the original ones;
+    // tags and categories stay the original documents, since themes need their paths
+    const fieldOverrides = {};
+    Object.keys(translatedFields).forEach(key => {
+        if (key !== 'tags' && key !== 'categories') fieldOverrides[key] = translatedFields[key];
+    });
+    const overrides = {
+        ...fieldOverrides,
+        title: translation.translatedTitle,
+        content: rendered.content,
+        description: translatedFields.description || post.description,
+        excerpt: translatedFields.excerpt || rendered.excerpt || '',
+        more: rendered.more || rendered.content,
+        path: pagePath,
+        permalink: hexo.extend.helper.get('full_url_for').call(hexo, pagePath),
+        lang,
+        original_path: post.path,
+        // Pages keep the page layout, everything else renders like a post
+        [post.layout === 'page' ? '__page' : '__post']: true
+    };
+    Object.keys(overrides).forEach(key => {
+        Object.defineProperty(page, key, { value: overrides[key], enumerable: true, writable: true });
+    });
+
+    return {
+        path: pagePath,
+        data: page,
+        layout: post.layout === 'page' ? ['page', 'post', 'index'] : ['post', 'page', 'index']
+    };
+}
+
+/**
+ * Registers the per-language page generator with Hexo
+ * @param {object} hexo - Hexo instance
+ * @param {object} options - Generator options
+ * @param {string} [options.pathPrefix=':lang'] - Path prefix template
+ * @param {function(object): Promise<Object<string, object>|null>} options.getTranslations - Resolves the translations of a post keyed by language,
+ *     in the order the pages are emitted (posts written in a target language are translated into the default source language too)
+ * @param {function(object): boolean} options.isTranslatable - Whether a post or page is translated (layouts, include/exclude, no_translate)
+ */
+function registerPageGenerator(hexo, { pathPrefix = ':lang', getTranslations, isTranslatable }) {
+    hexo.extend.generator.register('llm_translation_pages', async (locals) => {
+        const routes = [];
+        const posts = locals.posts.toArray().concat(locals.pages.toArray()).filter(isTranslatable);
+
+        for (const post of posts) {
+            const translations = await getTranslations(post);
+            if (!translations) continue;
+
+            for (const lang of Object.keys(translations)) {
+                try {
+                    routes.push(await renderTranslatedPage(hexo, post, lang, translations[lang], pathPrefix));
+                } catch (error) {
+                    hexo.log.error(`[AI Translate] Failed to render ${lang} page for ${post.source}: ${error.message}`);
+                }
+            }
+        }
+
+        return routes;
+    });
+}
+
+module.exports = {
+    getTranslatedPath,
+    getTranslatedUrl,
+    getTranslatedTerms,
+    registerPageGenerator
+};
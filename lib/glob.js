@@ -0,0 +1,88 @@
+/**
+ * Glob matching utilities
+ * Minimal glob support (*, **, ?, {a,b}) for matching post source paths
+ */
+
+/**
+ * Converts a glob pattern into a regular expression
+ * @param {string} pattern - Glob pattern (e.g., '_posts/2024/**', '*.md')
+ * @returns {RegExp} - Anchored regular expression
+ */
+function globToRegExp(pattern) {
+    const glob = pattern.replace(/\\/g, '/');
+    let source = '';
+    let inGroup = false;
+    for (let i = 0; i < glob.length; i++) {
+        const char = glob[i];
+        if (char === '*' && glob[i + 1] === '*') {
+            // `**/` also matches zero directories
+            if (glob[i + 2] === '/') {
+                source += '(?:.*/)?';
+                i += 2;
+            } else {
+                source += '.*';
+                i += 1;
+            }
+        } else if (char === '*') {
+            source += '[^/]*';
+        } else if (char === '?') {
+            source += '[^/]';
+        } else if (char === '{') {
+            inGroup = true;
+            source += '(?:';
+        } else if (char === '}' && inGroup) {
+            inGroup = false;
+            source += ')';
+        } else if (char === ',' && inGroup) {
+            source += '|';
+        } else {
+            source += char.replace(/[.+^$()|[\]\\]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${source}$`);
+}
+
+/**
+ * Checks whether a path matches any of the given glob patterns
+ * @param {string|string[]} patterns - Glob pattern(s)
+ * @param {string} filePath - Path to test, relative to the source directory
+ * @returns {boolean}
+ */
+function matchGlob(patterns, filePath) {
+    const normalized = filePath.replace(/\\/g, '/');
+    return [].concat(patterns).some(pattern => globToRegExp(pattern).test(normalized));
+}
+
+/**
+ * Checks whether a source path matches any of the given glob patterns
+ * Post paths match with or without their `_posts/` folder, so `2024/**` and `_posts/2024/**` are the same.
+ * @param {string|string[]} patterns - Glob pattern(s)
+ * @param {string} source - Source path (e.g., `_posts/hello.md`, `about/index.md`)
+ * @returns {boolean}
+ */
+function matchSource(patterns, source) {
+    return matchGlob(patterns, source) || matchGlob(patterns, source.replace(/^_posts\//, ''));
+}
+
+/**
+ * Creates the predicate that decides which posts and pages are translated
+ * @param {object} [options] - `llm_translation` config
+ * @param {string|string[]} [options.layouts=['post']] - Layouts to translate (e.g. post, page)
+ * @param {string|string[]} [options.include=[]] - Only translate sources matching these globs, empty for all
+ * @param {string|string[]} [options.exclude=[]] - Never translate sources matching these globs
+ * @returns {function(object): boolean} - Predicate over post/page data; front-matter `no_translate` always opts out
+ */
+function createSourceFilter({ layouts = ['post'], include = [], exclude = [] } = {}) {
+    const allowedLayouts = [].concat(layouts || []).map(String);
+    const includePatterns = [].concat(include || []).map(String);
+    const excludePatterns = [].concat(exclude || []).map(String);
+    return data => !!data && !!data.source && !data.no_translate
+        && allowedLayouts.includes(String(data.layout))
+        && (includePatterns.length === 0 || matchSource(includePatterns, data.source))
+        && !(excludePatterns.length > 0 && matchSource(excludePatterns, data.source));
+}
+
+module.exports = {
+    matchSource,
+    createSourceFilter
+};
@@ -0,0 +1,241 @@
+/**
+ * Glossary module
+ * Loads terminology from the site glossary file and post front-matter, and checks translations against it
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+/**
+ * Glossary files looked up in the site root when `llm_translation.glossary` is not set
+ */
+const DEFAULT_GLOSSARY_FILES = ['glossary.yml', 'glossary.yaml', 'glossary.csv'];
+
+/**
+ * Creates an empty glossary
+ * @returns {{ terms: Object<string, Object<string, string>>, doNotTranslate: string[] }}
+ */
+function createGlossary() {
+    return { terms: {}, doNotTranslate: [] };
+}
+
+/**
+ * Normalizes glossary data parsed from YAML or front-matter
+ * `terms` maps a source term to one target for every language, or to a map of language -> target.
+ * @param {object} data - Raw glossary data ({ terms, do_not_translate })
+ * @param {string} [origin='glossary'] - Where the data comes from, used in error messages
+ * @returns {{ terms: Object<string, Object<string, string>>, doNotTranslate: string[] }}
+ * @throws {Error} - If the data has the wrong shape
+ */
+function normalizeGlossary(data, origin = 'glossary') {
+    const glossary = createGlossary();
+    if (data === null || data === undefined) return glossary;
+    if (typeof data !== 'object' || Array.isArray(data)) {
+        throw new Error(`${origin}: expected an object with "terms" and/or "do_not_translate"`);
+    }
+
+    const terms = data.terms || {};
+    if (typeof terms !== 'object' || Array.isArray(terms)) {
+        throw new Error(`${origin}: "terms" must map source terms to translations`);
+    }
+    Object.keys(terms).forEach(source => {
+        const value = terms[source];
+        if (typeof value === 'string') {
+            glossary.terms[source] = { '*': value };
+        } else if (value && typeof value === 'object' && !Array.isArray(value)
+            && Object.values(value).every(target => typeof target === 'string')) {
+            glossary.terms[source] = { ...value };
+        } else {
+            throw new Error(`${origin}: translation of "${source}" must be a string or a map of language -> string`);
+        }
+    });
+
+    const keep = data.do_not_translate || [];
+    if (!Array.isArray(keep) || !keep.every(term => typeof term === 'string')) {
+        throw new Error(`${origin}: "do_not_translate" must be a list of strings`);
+    }
+    glossary.doNotTranslate = keep.filter(Boolean);
+    return glossary;
+}
+
+/**
+ * Splits one CSV line into cells (supports double-quoted cells with "" escapes)
+ * @param {string} line - CSV line
+ * @returns {string[]} - Cell values, trimmed
+ */
+function parseCsvLine(line) {
+    const cells = [];
+    let cell = '';
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (quoted) {
+            if (char === '"' && line[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            cells.push(cell.trim());
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    cells.push(cell.trim());
+    return cells;
+}
+
+/**
+ * Parses a CSV glossary
+ * The header is `source,<lang>,<lang>...`; a row whose language cells are all empty is a do-not-translate term.
+ * @param {string} text - CSV file content
+ * @param {string} [origin='glossary'] - Where the data comes from, used in error messages
+ * @returns {{ terms: Object<string, Object<string, string>>, doNotTranslate: string[] }}
+ * @throws {Error} - If the header is missing
+ */
+function parseCsvGlossary(text, origin = 'glossary') {
+    const glossary = createGlossary();
+    const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/).filter(line => line.trim() && !line.startsWith('#'));
+    if (lines.length === 0) return glossary;
+
+    const header = parseCsvLine(lines[0]);
+    if (header.length < 2) {
+        throw new Error(`${origin}: CSV header must be "source,<lang>[,<lang>...]"`);
+    }
+    const languages = header.slice(1);
+    lines.slice(1).forEach(line => {
+        const [source, ...targets] = parseCsvLine(line);
+        if (!source) return;
+        const translations = {};
+        languages.forEach((lang, index) => {
+            if (targets[index]) translations[lang] = targets[index];
+        });
+        if (Object.keys(translations).length > 0) {
+            glossary.terms[source] = translations;
+        } else {
+            glossary.doNotTranslate.push(source);
+        }
+    });
+    return glossary;
+}
+
+/**
+ * Loads the site glossary
+ * @param {string} baseDir - Site root directory
+ * @param {string} [file] - Glossary file relative to the site root, defaults to the first existing glossary.{yml,yaml,csv}
+ * @returns {{ terms: Object<string, Object<string, string>>, doNotTranslate: string[] }|null} - Glossary, or null when there is no file
+ * @throws {Error} - If the configured file is missing or invalid
+ */
+function loadGlossary(baseDir, file) {
+    let filePath;
+    if (file) {
+        filePath = path.resolve(baseDir, file);
+        if (!fs.existsSync(filePath)) {
+            throw new Error(`Glossary file not found: ${file}`);
+        }
+    } else {
+        filePath = DEFAULT_GLOSSARY_FILES.map(name => path.join(baseDir, name)).find(candidate => fs.existsSync(candidate));
+        if (!filePath) return null;
+    }
+
+    const text = fs.readFileSync(filePath, 'utf8');
+    const origin = path.basename(filePath);
+    if (path.extname(filePath).toLowerCase() === '.csv') {
+        return parseCsvGlossary(text, origin);
+    }
+    try {
+        return normalizeGlossary(yaml.load(text), origin);
+    } catch (error) {
+        if (error.name === 'YAMLException') {
+            throw new Error(`${origin}: ${error.reason || error.message}`);
+        }
+        throw error;
+    }
+}
+
+/**
+ * Merges glossaries, later ones override the translations of earlier ones
+ * @param {...object} glossaries - Glossaries (null entries are skipped)
+ * @returns {{ terms: Object<string, Object<string, string>>, doNotTranslate: string[] }}
+ */
+function mergeGlossaries(...glossaries) {
+    const merged = createGlossary();
+    glossaries.filter(Boolean).forEach(glossary => {
+        Object.keys(glossary.terms).forEach(source => {
+            merged.terms[source] = { ...merged.terms[source], ...glossary.terms[source] };
+        });
+        glossary.doNotTranslate.forEach(term => {
+            if (!merged.doNotTranslate.includes(term)) merged.doNotTranslate.push(term);
+        });
+    });
+    return merged;
+}
+
+/**
+ * Checks whether a term occurs in a text (case-insensitive)
+ * @param {string} text - Text to search
+ * @param {string} term - Term
+ * @returns {boolean}
+ */
+function containsTerm(text, term) {
+    return text.toLowerCase().includes(term.toLowerCase());
+}
+
+/**
+ * Selects the glossary entries that apply to a text in one target language
+ * @param {object|null} glossary - Merged glossary
+ * @param {string} lang - Target language code
+ * @param {string} text - Source text (title, fields and content)
+ * @returns {{ terms: Array<{ source: string, target: string }>, doNotTranslate: string[] }} - Entries used in the prompt and checks
+ */
+function getGlossaryEntries(glossary, lang, text) {
+    const entries = { terms: [], doNotTranslate: [] };
+    if (!glossary) return entries;
+    const primary = lang.split('-')[0];
+    Object.keys(glossary.terms).forEach(source => {
+        const translations = glossary.terms[source];
+        const target = translations[lang] || translations[primary] || translations['*'];
+        if (target && containsTerm(text, source)) {
+            entries.terms.push({ source, target });
+        }
+    });
+    entries.doNotTranslate = glossary.doNotTranslate.filter(term => text.includes(term));
+    return entries;
+}
+
+/**
+ * Finds glossary terms that were not respected by a translation
+ * @param {string} source - Source text
+ * @param {string} translated - Translated text
+ * @param {{ terms: Array<{ source: string, target: string }>, doNotTranslate: string[] }} entries - Entries from getGlossaryEntries()
+ * @returns {string[]} - Human readable violations, empty when the translation follows the glossary
+ */
+function findGlossaryViolations(source, translated, entries) {
+    const violations = [];
+    entries.terms.forEach(({ source: term, target }) => {
+        if (containsTerm(source, term) && !containsTerm(translated, target)) {
+            violations.push(`"${term}" must be translated as "${target}"`);
+        }
+    });
+    entries.doNotTranslate.forEach(term => {
+        if (source.includes(term) && !translated.includes(term)) {
+            violations.push(`"${term}" must be kept as is`);
+        }
+    });
+    return violations;
+}
+
+module.exports = {
+    normalizeGlossary,
+    loadGlossary,
+    mergeGlossaries,
+    getGlossaryEntries,
+    findGlossaryViolations
+};
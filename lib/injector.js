@@ -3,162 +3,419 @@
  * Handles CSS and JavaScript injection for language switching
  */
 
+const { SOURCE_LANGUAGE, getLanguageLabel } = require('./languages');
+
+/**
+ * Corner positions of the floating language switcher
+ */
+const SWITCHER_POSITIONS = {
+    'bottom-right': 'right: 16px; bottom: 16px;',
+    'bottom-left': 'left: 16px; bottom: 16px;',
+    'top-right': 'right: 16px; top: 16px;',
+    'top-left': 'left: 16px; top: 16px;'
+};
+
 /**
  * Returns the CSS styles for language-based content display
+ * The first target language is shown by default, the others are revealed by `html[lang]`.
+ * Rules cover every site language, so posts written in a target language are labelled the same way.
+ * @param {string[]} targetLanguages - Configured target languages
+ * @param {string} [sourceLanguage='zh'] - Default source language
+ * @returns {string} - CSS style block
+ */
+function getLanguageStyles(targetLanguages, sourceLanguage = SOURCE_LANGUAGE) {
+    const languages = [sourceLanguage, ...targetLanguages];
+    const defaultLang = targetLanguages[0];
+    const rules = [];
+
+    languages.forEach(lang => {
+        rules.push(`.hexo-llm-${lang} { display: ${lang === defaultLang ? 'block' : 'none'}; }`);
+    });
+    languages.forEach(lang => {
+        if (lang === defaultLang) return;
+        languages.filter(other => other !== lang).forEach(other => {
+            rules.push(`html[lang^="${lang}"] .hexo-llm-${other} { display: none !important; }`);
+        });
+        rules.push(`html[lang^="${lang}"] .hexo-llm-${lang} { display: block !important; }`);
+    });
+
+    return `
+<style>
+    ${rules.join('\n    ')}
+</style>
+`;
+}
+
+/**
+ * Returns the language switcher markup
+ * Buttons carry `data-hexo-llm-lang`; clicks are handled by the language detection script.
+ * @param {string[]} targetLanguages - Configured target languages
+ * @param {object} [options] - Switcher options
+ * @param {Object<string, string>} [options.labels] - Button labels by language code, defaults to native language names
+ * @param {string} [options.className=''] - Extra class on the container
+ * @param {string} [options.sourceLanguage='zh'] - Default source language
+ * @returns {string} - HTML markup
+ */
+function getSwitcherMarkup(targetLanguages, { labels = {}, className = '', sourceLanguage = SOURCE_LANGUAGE } = {}) {
+    const escape = text => String(text).replace(/[&<>"]/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[char]));
+    const buttons = [sourceLanguage, ...targetLanguages].map(lang =>
+        `<button type="button" class="hexo-llm-switcher-item" data-hexo-llm-lang="${escape(lang)}" lang="${escape(lang)}" aria-pressed="false">${escape(labels[lang] || getLanguageLabel(lang))}</button>`
+    );
+    return `<div class="hexo-llm-switcher${className ? ` ${className}` : ''}" role="group" aria-label="Language">${buttons.join('')}</div>`;
+}
+
+/**
+ * Returns the CSS of the language switcher
+ * @param {string} [position='bottom-right'] - Corner of the floating switcher (see SWITCHER_POSITIONS)
  * @returns {string} - CSS style block
  */
-function getLanguageStyles() {
+function getSwitcherStyles(position = 'bottom-right') {
+    const corner = SWITCHER_POSITIONS[position] || SWITCHER_POSITIONS['bottom-right'];
     return `
 <style>
-    .hexo-llm-zh { display: none; }
-    .hexo-llm-en { display: block; }
-    html[lang^="zh"] .hexo-llm-en { display: none !important; }
-    html[lang^="zh"] .hexo-llm-zh { display: block !important; }
+    .hexo-llm-switcher { display: inline-flex; gap: 4px; }
+    .hexo-llm-switcher-item { padding: 2px 8px; border: 1px solid #ccc; border-radius: 4px; background: #fff; color: #333; font: inherit; font-size: 13px; cursor: pointer; }
+    .hexo-llm-switcher-item[aria-pressed="true"] { border-color: #333; background: #333; color: #fff; }
+    .hexo-llm-switcher-floating { position: fixed; ${corner} z-index: 9999; padding: 4px; border-radius: 6px; background: rgba(255, 255, 255, 0.9); box-shadow: 0 1px 4px rgba(0, 0, 0, 0.2); }
 </style>
 `;
 }
 
+/**
+ * Reads the `llm_translation.switcher` config
+ * @param {boolean|object} [value] - `true`, or { position, labels }
+ * @returns {{ position: string, labels: Object<string, string> }|null} - Options, or null when the floating switcher is off
+ */
+function getSwitcherOptions(value) {
+    if (!value) return null;
+    const options = typeof value === 'object' ? value : {};
+    return {
+        position: options.position || 'bottom-right',
+        labels: options.labels || {}
+    };
+}
+
 /**
  * Creates the body-end script generator function
- * @param {Array} globalTitlePairs - Array of title pairs from current process
+ * @param {Array<Object<string, string>>} globalTitlePairs - Title maps (language code -> title) from current process,
+ *     the post's source language first
  * @param {object} storage - Storage instance for accessing cache
+ * @param {Array<object>} [globalTermItems=[]] - Original fields and translations from current process (see collectTermPairs)
  * @returns {function} - Function that returns the script tag
  */
-function createTitlePairsScriptGenerator(globalTitlePairs, storage) {
+function createTitlePairsScriptGenerator(globalTitlePairs, storage, globalTermItems = []) {
     return () => {
         const pairsMap = new Map();
 
-        // 1. Add from memory (current process)
+        // 1. Add from memory (current process), keyed by the original title
         globalTitlePairs.forEach(p => {
-            if (p.en && p.zh) pairsMap.set(p.en.trim(), p.zh);
+            const original = Object.values(p)[0];
+            if (original) pairsMap.set(original.trim(), p);
         });
 
         // 2. Supplement from cache (historical translations)
         if (storage.cache) {
             Object.values(storage.cache).forEach(item => {
-                if (item.originalTitle && item.translatedTitle) {
-                    const en = item.translatedTitle.trim();
-                    if (!pairsMap.has(en)) {
-                        pairsMap.set(en, item.originalTitle);
-                    }
+                if (!item.originalTitle) return;
+                const original = item.originalTitle.trim();
+                if (pairsMap.has(original)) return;
+
+                // Entries written before source language detection are Chinese
+                const pair = { [item.sourceLanguage || SOURCE_LANGUAGE]: item.originalTitle };
+                if (item.translations) {
+                    Object.keys(item.translations).forEach(lang => {
+                        const translatedTitle = item.translations[lang].translatedTitle;
+                        if (translatedTitle) pair[lang] = translatedTitle.trim();
+                    });
+                } else if (item.translatedTitle) {
+                    // Legacy single-language (English) cache entry
+                    pair.en = item.translatedTitle.trim();
                 }
+                if (Object.keys(pair).length > 1) pairsMap.set(original, pair);
             });
         }
 
-        if (pairsMap.size === 0) return '';
+        const termPairs = collectTermPairs(storage, globalTermItems);
+        if (pairsMap.size === 0 && termPairs.length === 0) return '';
 
-        const pairs = [];
-        pairsMap.forEach((zh, en) => {
-            pairs.push({ en, zh });
-        });
+        const pairs = Array.from(pairsMap.values());
 
-        return `<script>window._hexo_title_pairs = ${JSON.stringify(pairs)};</script>`;
+        return `<script>window._hexo_title_pairs = ${JSON.stringify(pairs)};window._hexo_term_pairs = ${JSON.stringify(termPairs)};</script>`;
     };
 }
 
+/**
+ * Collects translated front-matter terms (tags, categories, descriptions) from the current process and the cache
+ * Items of the current process come first, so fields overridden by manual translations win over cached ones.
+ * @param {object} storage - Storage instance for accessing cache
+ * @param {Array<{ sourceLanguage: string, originalFields: object, translations: object }>} [items=[]] - Original fields
+ *     and translations from current process
+ * @returns {Array<Object<string, string>>} - Term maps (language code -> text)
+ */
+function collectTermPairs(storage, items = []) {
+    const termsMap = new Map();
+
+    const addPair = (original, sourceLanguage, lang, translated) => {
+        if (typeof original !== 'string' || typeof translated !== 'string' || !original.trim() || !translated.trim()) return;
+        const key = original.trim();
+        const pair = termsMap.get(key) || { [sourceLanguage]: key };
+        if (!pair[lang]) pair[lang] = translated.trim();
+        termsMap.set(key, pair);
+    };
+
+    items.concat(Object.values(storage.cache || {})).forEach(item => {
+        if (!item.originalFields || !item.translations) return;
+        const sourceLanguage = item.sourceLanguage || SOURCE_LANGUAGE;
+        Object.keys(item.translations).forEach(lang => {
+            const translatedFields = item.translations[lang].translatedFields || {};
+            ['tags', 'categories', 'description'].forEach(key => {
+                const original = item.originalFields[key];
+                const translated = translatedFields[key];
+                if (Array.isArray(original) && Array.isArray(translated)) {
+                    original.forEach((term, index) => addPair(term, sourceLanguage, lang, translated[index]));
+                } else {
+                    addPair(original, sourceLanguage, lang, translated);
+                }
+            });
+        });
+    });
+
+    return Array.from(termsMap.values());
+}
+
 /**
  * Returns the language detection and title replacement script
+ * Picks the language from the `?lang=` parameter, the choice saved in localStorage, or the best match from
+ * `navigator.languages` among the available languages. Pages are rendered with titles in the first target language;
+ * other languages are swapped in on the client. `window._hexo_llm_set_lang(lang)` switches without a reload.
+ * @param {string[]} targetLanguages - Configured target languages
+ * @param {object} [options] - Site options
+ * @param {string} [options.tagDir='tags'] - Hexo `tag_dir`, used to find tag links
+ * @param {string} [options.categoryDir='categories'] - Hexo `category_dir`, used to find category links
+ * @param {string} [options.sourceLanguage='zh'] - Default source language
  * @returns {string} - JavaScript for language detection and title replacement
  */
-function getLanguageDetectionScript() {
+function getLanguageDetectionScript(targetLanguages, { tagDir = 'tags', categoryDir = 'categories', sourceLanguage = SOURCE_LANGUAGE } = {}) {
+    const languages = [sourceLanguage, ...targetLanguages];
+    const termSelectors = [
+        `a[href*="/${tagDir}/"]`,
+        `a[href*="/${categoryDir}/"]`,
+        '.tag-cloud a',
+        '.post-description',
+        '.article-description'
+    ].join(', ');
     return `
 <script>
 (function() {
-    var userLang = navigator.language || navigator.userLanguage;
-    if (userLang && userLang.startsWith('zh')) {
-        document.documentElement.setAttribute('lang', 'zh-CN');
-        window.addEventListener('DOMContentLoaded', function() {
-            // 1. Handle article page title and H1
-            if (window._zh_title && window._en_title) {
-                // Precisely detect: find English title in current title and replace with Chinese
-                if (document.title.includes(window._en_title)) {
-                    document.title = document.title.replace(window._en_title, window._zh_title);
-                } else {
-                    // Fallback: if theme handles title specially (e.g., truncation), replace directly
-                    document.title = window._zh_title;
+    var languages = ${JSON.stringify(languages)};
+    var defaultLang = ${JSON.stringify(targetLanguages[0])};
+    var storageKey = 'hexo-llm-lang';
+    var currentLang = null;
+    var pageLanguages = languages;
+    // Match a browser language tag against available codes: exact match first, then primary subtag
+    var matchLanguage = function(tag, available) {
+        if (!tag) return null;
+        tag = tag.toLowerCase();
+        var primary = tag.split('-')[0];
+        for (var i = 0; i < available.length; i++) {
+            if (available[i].toLowerCase() === tag) return available[i];
+        }
+        for (var j = 0; j < available.length; j++) {
+            if (available[j].toLowerCase().split('-')[0] === primary) return available[j];
+        }
+        return null;
+    };
+    // localStorage can throw (disabled storage, private mode), the choice then only lasts for this page
+    var getStoredLang = function() {
+        try { return window.localStorage.getItem(storageKey); } catch (e) { return null; }
+    };
+    var setStoredLang = function(lang) {
+        try { window.localStorage.setItem(storageKey, lang); } catch (e) { /* ignore */ }
+    };
+    // ?lang=en overrides everything and is remembered like a choice made in the switcher
+    var urlMatch = /[?&]lang=([^&#]+)/.exec(window.location.search);
+    var chosenLang = urlMatch ? matchLanguage(decodeURIComponent(urlMatch[1]), languages) : null;
+    if (chosenLang) {
+        setStoredLang(chosenLang);
+    } else {
+        chosenLang = matchLanguage(getStoredLang(), languages);
+    }
+    var pickLanguage = function(available) {
+        var preferred = navigator.languages && navigator.languages.length ? navigator.languages : [navigator.language || navigator.userLanguage];
+        if (chosenLang) preferred = [chosenLang].concat(Array.prototype.slice.call(preferred));
+        for (var i = 0; i < preferred.length; i++) {
+            var match = matchLanguage(preferred[i], available);
+            if (match) return match;
+        }
+        return available.indexOf(defaultLang) !== -1 ? defaultLang : available[0];
+    };
+    // Also called by each translated article with the languages it actually contains
+    window._hexo_llm_pick_lang = function(available) {
+        pageLanguages = available;
+        currentLang = pickLanguage(available);
+        document.documentElement.setAttribute('lang', currentLang);
+        return currentLang;
+    };
+    window._hexo_llm_pick_lang(languages);
+    // Marks the current language in every switcher (injected or rendered by the language_switcher helper)
+    var updateSwitchers = function() {
+        var buttons = document.querySelectorAll('[data-hexo-llm-lang]');
+        Array.prototype.forEach.call(buttons, function(button) {
+            button.setAttribute('aria-pressed', button.getAttribute('data-hexo-llm-lang') === currentLang ? 'true' : 'false');
+        });
+    };
+    // Replace translated tags, categories and descriptions (exact text match on leaf elements)
+    // Maps every known variant to the current language, so it also switches back to the source language
+    var replaceTerms = function() {
+        var termPairs = window._hexo_term_pairs;
+        if (!termPairs || termPairs.length === 0) return;
+        var termMap = {};
+        termPairs.forEach(function(pair) {
+            if (!pair[currentLang]) return;
+            for (var lang in pair) {
+                if (lang !== currentLang) termMap[pair[lang].trim()] = pair[currentLang];
+            }
+        });
+        var termElements = document.querySelectorAll(${JSON.stringify(termSelectors)});
+        Array.prototype.forEach.call(termElements, function(el) {
+            if (el.children.length > 0) return;
+            var term = termMap[el.textContent.trim()];
+            if (term) el.textContent = term;
+        });
+    };
+    var replaceTitles = function() {
+        // 1. Handle article page title and H1
+        var titles = window._hexo_titles;
+        if (titles && titles[currentLang]) {
+            var renderedTitle = null;
+            for (var lang in titles) {
+                if (lang !== currentLang && titles[lang] && document.title.indexOf(titles[lang]) !== -1) {
+                    renderedTitle = titles[lang];
+                    break;
                 }
-                // Replace article page h1 title
-                // Consider different theme selectors, find first h1 tag for replacement
-                var h1 = document.querySelector('h1');
-                if (h1 && window._zh_title) {
-                    h1.textContent = window._zh_title;
+            }
+            // Precisely detect: find rendered title in current title and replace it
+            if (renderedTitle) {
+                document.title = document.title.replace(renderedTitle, titles[currentLang]);
+            } else if (document.title.indexOf(titles[currentLang]) === -1) {
+                // Fallback: if theme handles title specially (e.g., truncation), replace directly
+                document.title = titles[currentLang];
+            }
+            // Replace article page h1 title
+            // Prefer the h1 that shows a known title variant, otherwise take the first h1
+            var headings = document.querySelectorAll('h1');
+            var h1 = null;
+            Array.prototype.forEach.call(headings, function(el) {
+                for (var lang in titles) {
+                    if (!h1 && titles[lang] && el.textContent.trim() === titles[lang].trim()) h1 = el;
                 }
+            });
+            h1 = h1 || headings[0];
+            if (h1) {
+                h1.textContent = titles[currentLang];
             }
-            // 2. Replace all title elements with data-zh-title and data-en-title attributes on homepage or list pages
-            var titleElements = document.querySelectorAll('[data-zh-title][data-en-title]');
-            titleElements.forEach(function(el) {
-                var zhTitle = el.getAttribute('data-zh-title');
-                var enTitle = el.getAttribute('data-en-title');
-                if (zhTitle && enTitle) {
-                    // Replace element text content
-                    if (el.textContent.trim() === enTitle.trim()) {
-                        el.textContent = zhTitle;
-                    }
-                    // If it's a link element, also check its title attribute
-                    if (el.hasAttribute('title') && el.getAttribute('title').trim() === enTitle.trim()) {
-                        el.setAttribute('title', zhTitle);
-                    }
+        }
+        // 2. Replace all title elements with data-<lang>-title attributes (e.g. data-zh-title) on homepage or list pages
+        var titleElements = document.querySelectorAll('[data-' + currentLang + '-title]');
+        Array.prototype.forEach.call(titleElements, function(el) {
+            var targetTitle = el.getAttribute('data-' + currentLang + '-title');
+            Array.prototype.forEach.call(el.attributes, function(attr) {
+                if (!/^data-.+-title$/.test(attr.name) || attr.name === 'data-' + currentLang + '-title') return;
+                var otherTitle = attr.value.trim();
+                // Replace element text content
+                if (el.textContent.trim() === otherTitle) {
+                    el.textContent = targetTitle;
+                }
+                // If it's a link element, also check its title attribute
+                if (el.hasAttribute('title') && el.getAttribute('title').trim() === otherTitle) {
+                    el.setAttribute('title', targetTitle);
                 }
             });
-            // 3. Replace article titles on homepage/list pages (using global title mapping)
-            if (window._hexo_title_pairs && window._hexo_title_pairs.length > 0) {
-                // Create English to Chinese mapping
-                var titleMap = {};
-                window._hexo_title_pairs.forEach(function(pair) {
-                    titleMap[pair.en.trim()] = pair.zh;
-                });
-                // Helper function to replace article titles, supports exact match and contains match
-                // Preserves child links when replacing text (assumes single link per title element)
-                var replaceTitle = function(el) {
-                    var text = el.textContent.trim();
-                    var zhTitle = null;
-                    var matchedEnTitle = null;
-                    // Prefer exact match
-                    if (titleMap[text]) {
-                        zhTitle = titleMap[text];
-                        matchedEnTitle = text;
-                    } else {
-                        // Try contains match (handle cases with extra spaces or child elements)
-                        // Using indexOf for IE/older browser compatibility (this runs in browser context)
-                        for (var enTitle in titleMap) {
-                            if (text === enTitle || text.indexOf(enTitle) !== -1) {
-                                // Only replace when text is highly similar to title (avoid false replacements)
-                                if (text.length <= enTitle.length * 1.5) {
-                                    zhTitle = titleMap[enTitle];
-                                    matchedEnTitle = enTitle;
-                                    break;
-                                }
+        });
+        // 3. Replace article titles on homepage/list pages (using global title mapping)
+        if (window._hexo_title_pairs && window._hexo_title_pairs.length > 0) {
+            // Map every known title variant to the title in the current language
+            var titleMap = {};
+            window._hexo_title_pairs.forEach(function(pair) {
+                if (!pair[currentLang]) return;
+                for (var lang in pair) {
+                    if (lang !== currentLang) titleMap[pair[lang].trim()] = pair[currentLang];
+                }
+            });
+            // Helper function to replace article titles, supports exact match and contains match
+            // Preserves child links when replacing text (assumes single link per title element)
+            var replaceTitle = function(el) {
+                var text = el.textContent.trim();
+                var newTitle = null;
+                var matchedTitle = null;
+                // Prefer exact match
+                if (titleMap[text]) {
+                    newTitle = titleMap[text];
+                    matchedTitle = text;
+                } else {
+                    // Try contains match (handle cases with extra spaces or child elements)
+                    // Using indexOf for IE/older browser compatibility (this runs in browser context)
+                    for (var knownTitle in titleMap) {
+                        if (text === knownTitle || text.indexOf(knownTitle) !== -1) {
+                            // Only replace when text is highly similar to title (avoid false replacements)
+                            if (text.length <= knownTitle.length * 1.5) {
+                                newTitle = titleMap[knownTitle];
+                                matchedTitle = knownTitle;
+                                break;
                             }
                         }
                     }
-                    if (!zhTitle) return;
-                    // Check if element contains a child link - if so, update link text to preserve hyperlink
-                    var childLink = el.querySelector('a');
-                    if (childLink) {
-                        childLink.textContent = zhTitle;
-                        // Also update title attribute if it matches the English title
-                        if (childLink.hasAttribute('title') && childLink.getAttribute('title').trim() === matchedEnTitle) {
-                            childLink.setAttribute('title', zhTitle);
-                        }
-                    } else {
-                        el.textContent = zhTitle;
+                }
+                if (!newTitle) return;
+                // Check if element contains a child link - if so, update link text to preserve hyperlink
+                var childLink = el.querySelector('a');
+                if (childLink) {
+                    childLink.textContent = newTitle;
+                    // Also update title attribute if it matches the rendered title
+                    if (childLink.hasAttribute('title') && childLink.getAttribute('title').trim() === matchedTitle) {
+                        childLink.setAttribute('title', newTitle);
                     }
-                };
-                // Find title elements within article card/list containers (limit search scope for performance)
-                var containers = document.querySelectorAll('main, article, .post, .posts, .post-list, .article-list, .card, .content, #content, #main');
-                if (containers.length === 0) {
-                    containers = [document.body];
+                } else {
+                    el.textContent = newTitle;
                 }
-                containers.forEach(function(container) {
-                    var titleSelectors = 'h1, h2, h3, .post-title, .article-title, .entry-title, .card-title, a[rel="bookmark"]';
-                    var potentialTitleElements = container.querySelectorAll(titleSelectors);
-                    potentialTitleElements.forEach(replaceTitle);
-                });
+            };
+            // Find title elements within article card/list containers (limit search scope for performance)
+            var containers = document.querySelectorAll('main, article, .post, .posts, .post-list, .article-list, .card, .content, #content, #main');
+            if (containers.length === 0) {
+                containers = [document.body];
             }
-        });
-    } else {
-        document.documentElement.setAttribute('lang', 'en');
-    }
+            Array.prototype.forEach.call(containers, function(container) {
+                var titleSelectors = 'h1, h2, h3, .post-title, .article-title, .entry-title, .card-title, a[rel="bookmark"]';
+                var potentialTitleElements = container.querySelectorAll(titleSelectors);
+                Array.prototype.forEach.call(potentialTitleElements, replaceTitle);
+            });
+        }
+    };
+    // Switches the page language without a reload and remembers the choice
+    window._hexo_llm_set_lang = function(lang) {
+        var match = matchLanguage(lang, languages);
+        if (!match) return currentLang;
+        chosenLang = match;
+        setStoredLang(match);
+        window._hexo_llm_pick_lang(pageLanguages);
+        replaceTerms();
+        replaceTitles();
+        updateSwitchers();
+        document.dispatchEvent(new CustomEvent('hexo-llm-langchange', { detail: { lang: currentLang } }));
+        return currentLang;
+    };
+    document.addEventListener('click', function(event) {
+        var button = event.target.closest && event.target.closest('[data-hexo-llm-lang]');
+        if (!button) return;
+        event.preventDefault();
+        window._hexo_llm_set_lang(button.getAttribute('data-hexo-llm-lang'));
+    });
+    window.addEventListener('DOMContentLoaded', function() {
+        replaceTerms();
+        updateSwitchers();
+        if (currentLang === defaultLang) return;
+        replaceTitles();
+    });
 })();
 </script>
 `;
@@ -166,28 +423,51 @@ function getLanguageDetectionScript() {
 
 /**
  * Registers all injectors with Hexo
+ * Also registers the `language_switcher()` helper, so themes can place the switcher themselves.
  * @param {object} hexo - Hexo instance
- * @param {Array} globalTitlePairs - Array of title pairs from current process
+ * @param {Array<Object<string, string>>} globalTitlePairs - Title maps from current process
  * @param {object} storage - Storage instance
+ * @param {string[]} targetLanguages - Configured target languages
+ * @param {boolean|object} [switcher] - `llm_translation.switcher` config, injects a floating switcher when set
+ * @param {string} [sourceLanguage='zh'] - Default source language
+ * @param {Array<object>} [globalTermItems=[]] - Original fields and translations from current process
  */
-function registerInjectors(hexo, globalTitlePairs, storage) {
+function registerInjectors(hexo, globalTitlePairs, storage, targetLanguages, switcher, sourceLanguage = SOURCE_LANGUAGE, globalTermItems = []) {
+    const switcherOptions = getSwitcherOptions(switcher);
+
     // Inject CSS in head
-    hexo.extend.injector.register('head_end', getLanguageStyles(), 'default');
+    hexo.extend.injector.register('head_end', getLanguageStyles(targetLanguages, sourceLanguage), 'default');
+    hexo.extend.injector.register('head_end', getSwitcherStyles(switcherOptions ? switcherOptions.position : undefined), 'default');
+
+    // <%- language_switcher() %> in theme templates, labels default to the configured ones
+    hexo.extend.helper.register('language_switcher', (options = {}) => getSwitcherMarkup(targetLanguages, {
+        labels: { ...(switcherOptions ? switcherOptions.labels : {}), ...options.labels },
+        className: options.class,
+        sourceLanguage
+    }));
+    if (switcherOptions) {
+        hexo.extend.injector.register('body_end', getSwitcherMarkup(targetLanguages, {
+            labels: switcherOptions.labels,
+            className: 'hexo-llm-switcher-floating',
+            sourceLanguage
+        }), 'default');
+    }
 
     // Inject title pairs script in body end
     hexo.extend.injector.register(
         'body_end',
-        createTitlePairsScriptGenerator(globalTitlePairs, storage),
+        createTitlePairsScriptGenerator(globalTitlePairs, storage, globalTermItems),
         'default'
     );
 
     // Inject language detection script in head begin
-    hexo.extend.injector.register('head_begin', getLanguageDetectionScript(), 'default');
+    hexo.extend.injector.register('head_begin', getLanguageDetectionScript(targetLanguages, {
+        tagDir: hexo.config.tag_dir,
+        categoryDir: hexo.config.category_dir,
+        sourceLanguage
+    }), 'default');
 }
 
 module.exports = {
-    getLanguageStyles,
-    createTitlePairsScriptGenerator,
-    getLanguageDetectionScript,
     registerInjectors
 };
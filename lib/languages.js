@@ -0,0 +1,197 @@
+/**
+ * Language utilities
+ * Handles target language configuration and language code helpers
+ */
+
+/**
+ * Default language of the original posts (`llm_translation.source_language`)
+ */
+const SOURCE_LANGUAGE = 'zh';
+
+/**
+ * Scripts recognized by detectLanguage(), with the languages written in them (primary subtags)
+ */
+const SCRIPTS = [
+    { name: 'kana', pattern: /[\u3040-\u30ff]/g, languages: ['ja'] },
+    { pattern: /[\uac00-\ud7af\u1100-\u11ff]/g, languages: ['ko'] },
+    { name: 'han', pattern: /[\u3400-\u4dbf\u4e00-\u9fff]/g, languages: ['zh', 'ja'] },
+    { pattern: /[\u0400-\u04ff]/g, languages: ['ru'] },
+    { pattern: /[\u0e00-\u0e7f]/g, languages: ['th'] },
+    // Latin text is counted in words, so a few English terms do not outweigh a CJK post
+    { pattern: /[A-Za-z\u00c0-\u024f]+/g, languages: ['en', 'fr', 'de', 'es', 'pt', 'it', 'vi'] }
+];
+
+/**
+ * Human readable names used in prompts, keyed by primary language subtag
+ */
+const LANGUAGE_NAMES = {
+    zh: 'Chinese',
+    en: 'English',
+    ja: 'Japanese',
+    ko: 'Korean',
+    fr: 'French',
+    de: 'German',
+    es: 'Spanish',
+    pt: 'Portuguese',
+    ru: 'Russian',
+    it: 'Italian',
+    vi: 'Vietnamese',
+    th: 'Thai'
+};
+
+/**
+ * Native names shown in the language switcher, keyed by primary language subtag
+ */
+const NATIVE_NAMES = {
+    zh: '中文',
+    en: 'English',
+    ja: '日本語',
+    ko: '한국어',
+    fr: 'Français',
+    de: 'Deutsch',
+    es: 'Español',
+    pt: 'Português',
+    ru: 'Русский',
+    it: 'Italiano',
+    vi: 'Tiếng Việt',
+    th: 'ไทย'
+};
+
+/**
+ * Default Open Graph locales, keyed by primary language subtag
+ */
+const DEFAULT_LOCALES = {
+    zh: 'zh_CN',
+    en: 'en_US',
+    ja: 'ja_JP',
+    ko: 'ko_KR',
+    fr: 'fr_FR',
+    de: 'de_DE',
+    es: 'es_ES',
+    pt: 'pt_BR',
+    ru: 'ru_RU',
+    it: 'it_IT',
+    vi: 'vi_VN',
+    th: 'th_TH'
+};
+
+/**
+ * Returns the Open Graph locale (e.g., en_US) of a language code
+ * @param {string} code - Language code (e.g., 'en', 'zh-TW')
+ * @returns {string} - Locale in language_TERRITORY format
+ */
+function getLocale(code) {
+    const [primary, region] = code.split('-');
+    if (region) return `${primary.toLowerCase()}_${region.toUpperCase()}`;
+    return DEFAULT_LOCALES[primary.toLowerCase()] || primary.toLowerCase();
+}
+
+/**
+ * Returns the English name of a language code for use in prompts
+ * @param {string} code - Language code (e.g., 'en', 'ja', 'zh-TW')
+ * @returns {string} - Language name, or the code itself if unknown
+ */
+function getLanguageName(code) {
+    const [primary, region] = code.split('-');
+    const name = LANGUAGE_NAMES[primary.toLowerCase()];
+    if (!name) return code;
+    return region ? `${name} (${region})` : name;
+}
+
+/**
+ * Returns the label of a language code for the language switcher
+ * @param {string} code - Language code (e.g., 'en', 'zh-TW')
+ * @returns {string} - Native language name, or the code itself if unknown
+ */
+function getLanguageLabel(code) {
+    const [primary, region] = code.split('-');
+    const name = NATIVE_NAMES[primary.toLowerCase()];
+    if (!name) return code;
+    return region ? `${name} (${region})` : name;
+}
+
+/**
+ * Normalizes the configured target languages
+ * Accepts an array or a single string, removes duplicates and the source language
+ * @param {string|string[]} [value] - `llm_translation.languages` config value
+ * @param {string} [sourceLanguage='zh'] - Default source language
+ * @returns {string[]} - Target language codes, defaults to ['en'] (or ['zh'] when English is the source language)
+ */
+function getTargetLanguages(value, sourceLanguage = SOURCE_LANGUAGE) {
+    const list = Array.isArray(value) ? value : (value ? [value] : []);
+    const languages = [];
+    list.forEach(item => {
+        const code = String(item).trim();
+        if (code && code !== sourceLanguage && !languages.includes(code)) {
+            languages.push(code);
+        }
+    });
+    if (languages.length > 0) return languages;
+    return [sourceLanguage === 'en' ? SOURCE_LANGUAGE : 'en'];
+}
+
+/**
+ * Finds a language among the available codes: exact match first, then by primary subtag
+ * @param {string} code - Language code (e.g., 'en-US', 'zh')
+ * @param {string[]} available - Available language codes
+ * @returns {string|null} - Matching available code
+ */
+function matchLanguage(code, available) {
+    if (!code) return null;
+    const tag = String(code).trim().toLowerCase().replace(/_/g, '-');
+    const primary = tag.split('-')[0];
+    return available.find(lang => lang.toLowerCase() === tag)
+        || available.find(lang => lang.toLowerCase().split('-')[0] === primary)
+        || null;
+}
+
+/**
+ * Guesses the language of a text from its script
+ * Code, HTML tags, URLs and placeholders are ignored. Only the given candidates can be returned:
+ * Latin text maps to the first Latin-script candidate (e.g. en), Han text to zh (or ja).
+ * @param {string} text - Markdown or HTML text
+ * @param {string[]} candidates - Site languages to choose from
+ * @param {string} fallback - Returned when no candidate matches the text
+ * @returns {string} - Detected language code
+ */
+function detectLanguage(text, candidates, fallback) {
+    const prose = String(text || '')
+        .replace(/<hexoPostRenderCodeBlock>[\s\S]*?<\/hexoPostRenderCodeBlock>/g, ' ')
+        .replace(/<(script|style|pre|code)\b[\s\S]*?<\/\1>/gi, ' ')
+        .replace(/^ {0,3}(`{3,}|~{3,})[^\n]*\n[\s\S]*?\n {0,3}\1[^\n]*$/gm, ' ')
+        .replace(/`[^`\n]*`/g, ' ')
+        .replace(/\{%[\s\S]*?%\}/g, ' ')
+        .replace(/<[^>]*>/g, ' ')
+        .replace(/\b[a-z][\w+.-]*:\/\/\S+/gi, ' ')
+        .replace(/\]\([^)]*\)/g, ']');
+
+    const counts = SCRIPTS.map(script => (prose.match(script.pattern) || []).length);
+    const kana = counts[SCRIPTS.findIndex(script => script.name === 'kana')];
+    const han = SCRIPTS.findIndex(script => script.name === 'han');
+    let best = null;
+    let bestCount = 0;
+    SCRIPTS.forEach((script, index) => {
+        let count = counts[index];
+        let languages = script.languages;
+        // Kanji in a text with kana is Japanese
+        if (script.name === 'kana' && count > 0) count += counts[han];
+        if (index === han && kana > 0) languages = ['ja', 'zh'];
+        if (count <= bestCount) return;
+        const match = languages.map(lang => matchLanguage(lang, candidates)).find(Boolean);
+        if (match) {
+            best = match;
+            bestCount = count;
+        }
+    });
+    return best || fallback;
+}
+
+module.exports = {
+    SOURCE_LANGUAGE,
+    matchLanguage,
+    detectLanguage,
+    getLanguageName,
+    getLanguageLabel,
+    getLocale,
+    getTargetLanguages
+};
@@ -1,69 +1,81 @@
 /**
  * Manual Translation module
- * Handles detection and loading of manual translation files (.en.md)
+ * Handles detection and loading of manual translation files (.<lang>.md, e.g. .en.md)
+ * Every front-matter key other than the title and the review fields overrides the translated field of the same name.
  */
 
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
+const yaml = require('js-yaml');
+
+/**
+ * Values of the `translation_status` front-matter field
+ * machine: exported LLM output, not reviewed yet; reviewed: checked by a person
+ */
+const TRANSLATION_STATUSES = ['machine', 'reviewed'];
+
+/**
+ * Front-matter keys that describe the manual translation itself rather than override a translated field
+ */
+const METADATA_KEYS = ['title', 'translation_status', 'source_hash', 'model'];
+
+/**
+ * Fenced code blocks in raw Markdown, matched in the same order Hexo's backtick_code_block filter highlights them
+ */
+const CODE_FENCE_PATTERN = /^ {0,3}(`{3,}|~{3,})[^\n]*\n[\s\S]*?\n {0,3}\1[`~]*[ \t]*(?=\n|$)/gm;
+
+/**
+ * Code blocks already highlighted by Hexo's backtick_code_block filter
+ */
+const HIGHLIGHTED_CODE_PATTERN = /<hexoPostRenderCodeBlock>[\s\S]*?<\/hexoPostRenderCodeBlock>/g;
 
 /**
  * Parses front matter from markdown content
  * @param {string} content - Raw markdown content with potential front matter
  * @returns {{ frontMatter: object|null, body: string }} - Parsed front matter and body content
+ * @throws {Error} - If the front matter is not valid YAML or not a mapping
  */
 function parseFrontMatter(content) {
-    const frontMatterMatch = content.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n([\s\S]*)$/);
+    const frontMatterMatch = content.match(/^---\r?\n(?:([\s\S]*?)\r?\n)?---(?:\r?\n([\s\S]*))?$/);
     if (!frontMatterMatch) {
         return { frontMatter: null, body: content };
     }
 
-    const frontMatterStr = frontMatterMatch[1];
-    const body = frontMatterMatch[2];
-
-    // Simple YAML parsing for title
-    const frontMatter = {};
-    const titleMatch = frontMatterStr.match(/^title:\s*['"]?(.+?)['"]?\s*$/m);
-    if (titleMatch) {
-        frontMatter.title = titleMatch[1].trim();
+    const frontMatter = yaml.load(frontMatterMatch[1] || '') || {};
+    if (typeof frontMatter !== 'object' || Array.isArray(frontMatter)) {
+        throw new Error('Front matter is not a YAML mapping');
     }
 
-    return { frontMatter, body };
+    return { frontMatter, body: frontMatterMatch[2] || '' };
 }
 
 /**
  * Gets the manual translation file path for a source file
  * @param {string} sourceFilePath - Path to the source markdown file (e.g., _posts/hello.md)
  * @param {string} sourceDir - Hexo source directory path
+ * @param {string} [lang='en'] - Target language code
  * @returns {string} - Full path to the manual translation file
  */
-function getManualTranslationPath(sourceFilePath, sourceDir) {
+function getManualTranslationPath(sourceFilePath, sourceDir, lang = 'en') {
     // sourceFilePath is relative like '_posts/hello.md'
-    // We need to construct the .en.md path
+    // We need to construct the .<lang>.md path, e.g. _posts/hello.ja.md
     const ext = path.extname(sourceFilePath);
     const basePath = sourceFilePath.slice(0, -ext.length);
-    const manualTranslationFile = `${basePath}.en${ext}`;
+    const manualTranslationFile = `${basePath}.${lang}${ext}`;
     return path.join(sourceDir, manualTranslationFile);
 }
 
 /**
- * Checks if a manual translation file exists for the given source
+ * Loads manual translation content from .<lang>.md file
  * @param {string} sourceFilePath - Path to the source markdown file
  * @param {string} sourceDir - Hexo source directory path
- * @returns {boolean} - True if manual translation file exists
+ * @param {string} [lang='en'] - Target language code
+ * @returns {{ translatedTitle: string|null, translatedContent: string, translatedFields: object, status: string|null, sourceHash: string|null }|null}
+ *     - Translated title, content and front-matter fields with the review fields, or null if not found or unreadable
  */
-function hasManualTranslation(sourceFilePath, sourceDir) {
-    const manualPath = getManualTranslationPath(sourceFilePath, sourceDir);
-    return fs.existsSync(manualPath);
-}
-
-/**
- * Loads manual translation content from .en.md file
- * @param {string} sourceFilePath - Path to the source markdown file
- * @param {string} sourceDir - Hexo source directory path
- * @returns {{ translatedTitle: string|null, translatedContent: string }|null} - Translated title and content, or null if not found
- */
-function loadManualTranslation(sourceFilePath, sourceDir) {
-    const manualPath = getManualTranslationPath(sourceFilePath, sourceDir);
+function loadManualTranslation(sourceFilePath, sourceDir, lang = 'en') {
+    const manualPath = getManualTranslationPath(sourceFilePath, sourceDir, lang);
     
     if (!fs.existsSync(manualPath)) {
         return null;
@@ -72,19 +84,102 @@ function loadManualTranslation(sourceFilePath, sourceDir) {
     try {
         const rawContent = fs.readFileSync(manualPath, 'utf-8');
         const { frontMatter, body } = parseFrontMatter(rawContent);
-        
+        const translatedFields = {};
+        Object.keys(frontMatter || {}).forEach(key => {
+            if (!METADATA_KEYS.includes(key)) translatedFields[key] = frontMatter[key];
+        });
+
         return {
-            translatedTitle: frontMatter?.title || null,
-            translatedContent: body.trim()
+            translatedTitle: frontMatter?.title != null ? String(frontMatter.title) : null,
+            translatedContent: body.trim(),
+            translatedFields,
+            status: frontMatter?.translation_status || null,
+            sourceHash: frontMatter?.source_hash != null ? String(frontMatter.source_hash) : null
         };
     } catch (error) {
         return null;
     }
 }
 
+/**
+ * Hashes the original post a manual translation was made from
+ * @param {string} title - Original title
+ * @param {string} content - Raw Markdown body of the original post
+ * @returns {string} - Short hash recorded as `source_hash`
+ */
+function getSourceHash(title, content) {
+    return crypto.createHash('md5').update(`${title || ''}\n${content || ''}`).digest('hex').slice(0, 12);
+}
+
+/**
+ * Returns the original title of a post or page document
+ * The title is read from the raw file, since the plugin replaces `title` with the translated title when rendering.
+ * @param {object} post - Post or page document
+ * @returns {string} - Original title
+ */
+function getOriginalTitle(post) {
+    try {
+        const { frontMatter } = parseFrontMatter(post.raw || '');
+        if (frontMatter && frontMatter.title != null) return String(frontMatter.title);
+    } catch (error) {
+        // Hexo parsed the file, so this only happens for front matter it accepts more leniently
+    }
+    return post.title;
+}
+
+/**
+ * Hashes the original of a post or page document
+ * @param {object} post - Post or page document
+ * @returns {string} - Short hash recorded as `source_hash`
+ */
+function getPostSourceHash(post) {
+    return getSourceHash(getOriginalTitle(post), post._content ?? post.content);
+}
+
+/**
+ * Puts the original fenced code blocks back in place of Hexo's highlighted HTML
+ * Cached translations are made after the backtick_code_block filter, so their code is highlighted HTML.
+ * The blocks are matched by position; when the counts differ the content is returned unchanged.
+ * @param {string} content - Translated content
+ * @param {string} rawSource - Raw Markdown body of the original post
+ * @returns {string} - Content with fenced code blocks
+ */
+function restoreCodeFences(content, rawSource) {
+    const fences = rawSource.match(CODE_FENCE_PATTERN) || [];
+    const highlighted = content.match(HIGHLIGHTED_CODE_PATTERN) || [];
+    if (highlighted.length === 0 || fences.length !== highlighted.length) return content;
+    let index = 0;
+    return content.replace(HIGHLIGHTED_CODE_PATTERN, () => fences[index++].replace(/^ +/, ''));
+}
+
+/**
+ * Formats a translation as a manual translation file
+ * @param {object} options - File contents
+ * @param {string} options.title - Translated title
+ * @param {string} options.content - Translated Markdown body
+ * @param {object} [options.fields={}] - Translated front-matter fields
+ * @param {string} [options.status='machine'] - Review status (see TRANSLATION_STATUSES)
+ * @param {string} options.sourceHash - Hash of the original post from getSourceHash()
+ * @param {string} [options.model] - Model that produced the translation
+ * @returns {string} - Markdown with front matter
+ */
+function formatManualTranslation({ title, content, fields = {}, status = 'machine', sourceHash, model }) {
+    const frontMatter = { title };
+    Object.keys(fields).forEach(key => {
+        if (!METADATA_KEYS.includes(key)) frontMatter[key] = fields[key];
+    });
+    Object.assign(frontMatter, { translation_status: status, source_hash: sourceHash });
+    if (model) frontMatter.model = model;
+    return `---\n${yaml.dump(frontMatter, { lineWidth: -1, quotingType: '"' })}---\n\n${content.trim()}\n`;
+}
+
 module.exports = {
+    TRANSLATION_STATUSES,
     parseFrontMatter,
+    getOriginalTitle,
+    getPostSourceHash,
+    restoreCodeFences,
+    formatManualTranslation,
     getManualTranslationPath,
-    hasManualTranslation,
     loadManualTranslation
 };
@@ -0,0 +1,89 @@
+/**
+ * Prompt template module
+ * Loads the `llm_translation.prompt_template` setting and renders {{variable}} placeholders
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Built-in template, {{rules}} expands to the numbered translation and output format rules
+ */
+const DEFAULT_PROMPT_TEMPLATE = 'You are a professional technical translator.\n{{rules}}';
+
+/**
+ * Variables available in templates
+ */
+const TEMPLATE_VARIABLES = [
+    'target_language',
+    'target_language_code',
+    'source_language',
+    'title',
+    'glossary',
+    'instructions',
+    'rules'
+];
+
+const VARIABLE_PATTERN = /\{\{\s*([\w]+)\s*\}\}/g;
+
+/**
+ * Returns the variables used by a template
+ * @param {string} template - Template text
+ * @returns {string[]} - Variable names
+ */
+function getTemplateVariables(template) {
+    return [...template.matchAll(VARIABLE_PATTERN)].map(match => match[1]);
+}
+
+/**
+ * Loads the prompt template from the config value
+ * A single-line value that names an existing file (relative to the site root) is read from disk, anything else is used inline.
+ * Templates without {{rules}} get the rules appended, so the output format stays parseable.
+ * @param {string} baseDir - Site root directory
+ * @param {string} [value] - `llm_translation.prompt_template` value
+ * @returns {{ template: string, version: string }} - Template text and its version ('' for the built-in template)
+ * @throws {Error} - If the template uses unknown variables
+ */
+function loadPromptTemplate(baseDir, value) {
+    if (!value) {
+        return { template: DEFAULT_PROMPT_TEMPLATE, version: '' };
+    }
+
+    let template = String(value);
+    const filePath = path.resolve(baseDir, template);
+    if (!template.includes('\n') && !template.includes('{{') && fs.existsSync(filePath)) {
+        template = fs.readFileSync(filePath, 'utf8');
+    } else if (/^\S+\.\w+$/.test(template)) {
+        throw new Error(`Prompt template file not found: ${template}`);
+    }
+
+    const unknown = getTemplateVariables(template).filter(name => !TEMPLATE_VARIABLES.includes(name));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown prompt template variables: ${[...new Set(unknown)].join(', ')} (available: ${TEMPLATE_VARIABLES.join(', ')})`);
+    }
+
+    return {
+        template,
+        version: crypto.createHash('md5').update(template).digest('hex').slice(0, 8)
+    };
+}
+
+/**
+ * Replaces {{variable}} placeholders in a template
+ * @param {string} template - Template text
+ * @param {Object<string, string>} variables - Variable values
+ * @returns {string} - Rendered text
+ */
+function renderTemplate(template, variables) {
+    return template.replace(VARIABLE_PATTERN, (match, name) =>
+        (Object.prototype.hasOwnProperty.call(variables, name) ? variables[name] : match)
+    );
+}
+
+module.exports = {
+    DEFAULT_PROMPT_TEMPLATE,
+    getTemplateVariables,
+    loadPromptTemplate,
+    renderTemplate
+};
@@ -0,0 +1,163 @@
+/**
+ * Protected spans module
+ * Replaces text the model must not touch (code, math, raw HTML, Hexo tags, URLs...) with placeholders before translation
+ */
+
+/**
+ * HTML tags that start a raw HTML block (CommonMark block-level tags)
+ */
+const HTML_BLOCK_TAGS = 'address|article|aside|audio|blockquote|center|details|dialog|dd|div|dl|dt|fieldset|figcaption|figure|footer|form|h[1-6]|header|hr|iframe|li|main|nav|ol|p|section|summary|table|tbody|td|tfoot|th|thead|tr|ul|video';
+
+/**
+ * Built-in rules, applied in this order; each rule masks the matches of its patterns with [PLACEHOLDER_N]
+ * Later rules see the placeholders of earlier ones, so nested spans are restored in reverse order.
+ */
+const PROTECT_RULES = [
+    {
+        name: 'code',
+        placeholder: 'CODE_BLOCK',
+        patterns: [
+            // Code already highlighted by Hexo's backtick_code_block filter
+            /<hexoPostRenderCodeBlock>[\s\S]*?<\/hexoPostRenderCodeBlock>/g,
+            // ``` and ~~~ fences
+            /^ {0,3}(`{3,}|~{3,})[^\n]*\n[\s\S]*?\n {0,3}\1[`~]*[ \t]*(?=\n|$)/gm
+        ]
+    },
+    {
+        name: 'raw',
+        placeholder: 'RAW',
+        patterns: [/\{%-?\s*raw\s*-?%\}[\s\S]*?\{%-?\s*endraw\s*-?%\}/g]
+    },
+    {
+        name: 'math',
+        placeholder: 'MATH',
+        patterns: [/\$\$[\s\S]+?\$\$/g]
+    },
+    {
+        name: 'html',
+        placeholder: 'HTML',
+        patterns: [
+            /<!--[\s\S]*?-->/g,
+            /^ {0,3}<(script|pre|style|textarea)\b[\s\S]*?<\/\1>/gim,
+            // A block-level tag at the start of a line, up to the next blank line
+            new RegExp(`^ {0,3}</?(?:${HTML_BLOCK_TAGS})(?=[\\s/>])[^\\n]*(?:\\n(?![ \\t]*\\n)[^\\n]*)*`, 'gim')
+        ]
+    },
+    {
+        name: 'indented_code',
+        placeholder: 'CODE_BLOCK',
+        // Lines indented by four spaces or a tab after a blank line, unless they continue a list
+        patterns: [/(?<=(?:^|\n)[ \t]*\n)(?<!(?:^|\n)[ \t]*(?:[-*+]|\d+[.)])[ \t][^\n]*\n[ \t]*\n)(?: {4}|\t)(?![ \t]*(?:[-*+]|\d+[.)])[ \t])[^\n]*\S[^\n]*(?:\n(?: {4}|\t)[^\n]*\S[^\n]*)*/g]
+    },
+    {
+        name: 'inline_code',
+        placeholder: 'INLINE_CODE',
+        patterns: [/(?<!`)(`+)(?!`)[^\n]*?[^`\n]\1(?!`)/g]
+    },
+    {
+        name: 'hexo_tags',
+        placeholder: 'HEXO_TAG',
+        patterns: [/\{%[\s\S]*?%\}/g]
+    },
+    {
+        name: 'math',
+        placeholder: 'MATH',
+        patterns: [/(?<![\\$])\$(?![\s$])[^$\n]+?(?<![\s\\])\$(?![\w$])/g]
+    },
+    {
+        name: 'footnotes',
+        placeholder: 'FOOTNOTE',
+        patterns: [/\[\^[^\]\s]+\]:?/g]
+    },
+    {
+        name: 'urls',
+        placeholder: 'URL',
+        patterns: [
+            // Link and image destinations, the link text stays translatable
+            /(?<=\]\(\s*)<?[^()\s>]+>?/g,
+            // Reference definitions: [id]: url
+            /(?<=^ {0,3}\[[^\]\n]+\]:[ \t]*)<?[^\s>]+>?/gm,
+            // Bare URLs (ASCII only, so CJK text and punctuation right after the URL are not swallowed)
+            /\b(?:https?|ftp):\/\/[^\s<>"'`()[\]\u0080-\uffff]*[^\s<>"'`()[\].,;:!?\u0080-\uffff]/g
+        ]
+    }
+];
+
+/**
+ * Built-in rule names, the keys accepted by `llm_translation.protect`
+ */
+const PROTECT_RULE_NAMES = [...new Set(PROTECT_RULES.map(rule => rule.name))];
+
+/**
+ * Resolves the protection rules from the config value
+ * Every built-in rule is on unless set to false; `patterns` adds custom regular expressions.
+ * @param {object} [config] - `llm_translation.protect` value, e.g. { math: false, patterns: ['\\{\\{.*?\\}\\}'] }
+ * @returns {Array<{ name: string, placeholder: string, patterns: RegExp[] }>} - Rules in the order they are applied
+ * @throws {Error} - If the config has unknown keys or invalid patterns
+ */
+function getProtectRules(config = {}) {
+    const options = config || {};
+    const unknown = Object.keys(options).filter(key => key !== 'patterns' && !PROTECT_RULE_NAMES.includes(key));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown protect rules: ${unknown.join(', ')} (available: ${PROTECT_RULE_NAMES.join(', ')}, patterns)`);
+    }
+
+    const rules = PROTECT_RULES.filter(rule => options[rule.name] !== false);
+    const custom = [].concat(options.patterns || []).map(source => {
+        try {
+            return new RegExp(source, 'gm');
+        } catch (error) {
+            throw new Error(`Invalid protect pattern ${source}: ${error.message}`);
+        }
+    });
+    if (custom.length > 0) {
+        // Custom patterns run first, so they win over the built-in rules
+        rules.unshift({ name: 'patterns', placeholder: 'PROTECTED', patterns: custom });
+    }
+    return rules;
+}
+
+/**
+ * Replaces protected spans with placeholders
+ * @param {string} content - The original content
+ * @param {Array<object>} [rules] - Rules from getProtectRules(), defaults to all built-in rules
+ * @returns {{ contentWithPlaceholders: string, spans: Array<{ placeholder: string, text: string }> }} - Masked content and the original spans
+ */
+function extractProtectedSpans(content, rules = PROTECT_RULES) {
+    const spans = [];
+    const counters = {};
+    let contentWithPlaceholders = content;
+    rules.forEach(rule => {
+        rule.patterns.forEach(pattern => {
+            contentWithPlaceholders = contentWithPlaceholders.replace(pattern, match => {
+                if (!match) return match;
+                const index = counters[rule.placeholder] || 0;
+                counters[rule.placeholder] = index + 1;
+                const placeholder = `[${rule.placeholder}_${index}]`;
+                spans.push({ placeholder, text: match });
+                return placeholder;
+            });
+        });
+    });
+    return { contentWithPlaceholders, spans };
+}
+
+/**
+ * Restores protected spans from placeholders
+ * @param {string} text - Content with placeholders
+ * @param {Array<{ placeholder: string, text: string }>} spans - Spans from extractProtectedSpans()
+ * @returns {string} - Content with the original spans
+ */
+function restoreProtectedSpans(text, spans) {
+    let result = text;
+    for (let i = spans.length - 1; i >= 0; i--) {
+        result = result.split(spans[i].placeholder).join(spans[i].text);
+    }
+    return result;
+}
+
+module.exports = {
+    getProtectRules,
+    extractProtectedSpans,
+    restoreProtectedSpans
+};
@@ -0,0 +1,193 @@
+/**
+ * LLM provider adapters
+ * Each adapter builds the HTTP request for one chat/completion API and parses its response
+ */
+
+/**
+ * Joins a base URL and a path without doubling slashes
+ * @param {string} base - Base URL
+ * @param {string} path - Path to append
+ * @returns {string} - Joined URL
+ */
+function joinUrl(base, path) {
+    return `${base.replace(/\/+$/, '')}/${path.replace(/^\/+/, '')}`;
+}
+
+/**
+ * Builds an OpenAI-style messages array
+ * @param {string} system - System prompt
+ * @param {string} user - User message
+ * @returns {Array<{ role: string, content: string }>} - Chat messages
+ */
+function buildMessages(system, user) {
+    return [
+        { role: 'system', content: system },
+        { role: 'user', content: user }
+    ];
+}
+
+/**
+ * Builds a usage object, or null when the response did not report token counts
+ * @param {number} [inputTokens] - Prompt tokens
+ * @param {number} [outputTokens] - Completion tokens
+ * @returns {{ inputTokens: number, outputTokens: number }|null}
+ */
+function toUsage(inputTokens, outputTokens) {
+    if (typeof inputTokens !== 'number' && typeof outputTokens !== 'number') return null;
+    return { inputTokens: inputTokens || 0, outputTokens: outputTokens || 0 };
+}
+
+/**
+ * Parses an OpenAI chat completions response (also used by Azure OpenAI)
+ * @param {object} result - Response JSON
+ * @returns {{ text: string|null, truncated: boolean, usage: object|null }} - Output text, whether it hit the token limit and token usage
+ */
+function parseChatCompletion(result) {
+    const choice = result.choices?.[0];
+    return {
+        text: choice?.message?.content || null,
+        truncated: choice?.finish_reason === 'length',
+        usage: toUsage(result.usage?.prompt_tokens, result.usage?.completion_tokens)
+    };
+}
+
+/**
+ * Available providers, keyed by the `llm_translation.provider` value
+ */
+const PROVIDERS = {
+    // OpenAI and compatible APIs (SiliconFlow, DeepSeek, OpenRouter, vLLM...)
+    openai: {
+        defaultEndpoint: 'https://api.siliconflow.cn/v1/chat/completions',
+        defaultModel: 'deepseek-ai/DeepSeek-V3.2',
+        requiresApiKey: true,
+        buildRequest({ endpoint, apiKey, model, system, user }) {
+            return {
+                url: endpoint,
+                headers: { 'Authorization': `Bearer ${apiKey}` },
+                body: { model, messages: buildMessages(system, user) }
+            };
+        },
+        parseResponse: parseChatCompletion
+    },
+
+    // Anthropic Messages API
+    anthropic: {
+        defaultEndpoint: 'https://api.anthropic.com/v1/messages',
+        defaultModel: null,
+        requiresApiKey: true,
+        buildRequest({ endpoint, apiKey, model, system, user, maxOutputTokens }) {
+            return {
+                url: endpoint,
+                headers: {
+                    'x-api-key': apiKey,
+                    'anthropic-version': '2023-06-01'
+                },
+                body: {
+                    model,
+                    max_tokens: maxOutputTokens,
+                    system,
+                    messages: [{ role: 'user', content: user }]
+                }
+            };
+        },
+        parseResponse(result) {
+            const text = (result.content || [])
+                .filter(block => block.type === 'text')
+                .map(block => block.text)
+                .join('');
+            return {
+                text: text || null,
+                truncated: result.stop_reason === 'max_tokens',
+                usage: toUsage(result.usage?.input_tokens, result.usage?.output_tokens)
+            };
+        }
+    },
+
+    // Google Gemini generateContent API, `endpoint` is the API base URL
+    gemini: {
+        defaultEndpoint: 'https://generativelanguage.googleapis.com/v1beta',
+        defaultModel: null,
+        requiresApiKey: true,
+        buildRequest({ endpoint, apiKey, model, system, user, maxOutputTokens }) {
+            return {
+                url: joinUrl(endpoint, `models/${encodeURIComponent(model)}:generateContent`),
+                headers: { 'x-goog-api-key': apiKey },
+                body: {
+                    systemInstruction: { parts: [{ text: system }] },
+                    contents: [{ role: 'user', parts: [{ text: user }] }],
+                    generationConfig: { maxOutputTokens }
+                }
+            };
+        },
+        parseResponse(result) {
+            const candidate = result.candidates?.[0];
+            const text = (candidate?.content?.parts || [])
+                .map(part => part.text || '')
+                .join('');
+            return {
+                text: text || null,
+                truncated: candidate?.finishReason === 'MAX_TOKENS',
+                usage: toUsage(result.usageMetadata?.promptTokenCount, result.usageMetadata?.candidatesTokenCount)
+            };
+        }
+    },
+
+    // Azure OpenAI, `endpoint` is the resource URL and `model` the deployment name
+    azure: {
+        defaultEndpoint: null,
+        defaultModel: null,
+        requiresApiKey: true,
+        buildRequest({ endpoint, apiKey, model, system, user, apiVersion }) {
+            // A full deployment URL is used as is
+            const url = endpoint.includes('/deployments/')
+                ? endpoint
+                : joinUrl(endpoint, `openai/deployments/${encodeURIComponent(model)}/chat/completions`);
+            const separator = url.includes('?') ? '&' : '?';
+            return {
+                url: url.includes('api-version=') ? url : `${url}${separator}api-version=${apiVersion}`,
+                headers: { 'api-key': apiKey },
+                body: { messages: buildMessages(system, user) }
+            };
+        },
+        parseResponse: parseChatCompletion
+    },
+
+    // Local Ollama server (/api/chat), no API key needed
+    ollama: {
+        defaultEndpoint: 'http://localhost:11434/api/chat',
+        defaultModel: null,
+        requiresApiKey: false,
+        buildRequest({ endpoint, apiKey, model, system, user }) {
+            return {
+                url: endpoint,
+                headers: apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {},
+                body: { model, messages: buildMessages(system, user), stream: false }
+            };
+        },
+        parseResponse(result) {
+            return {
+                text: result.message?.content || null,
+                truncated: result.done_reason === 'length',
+                usage: toUsage(result.prompt_eval_count, result.eval_count)
+            };
+        }
+    }
+};
+
+/**
+ * Returns the adapter of a provider
+ * @param {string} [name='openai'] - Provider name (openai, anthropic, gemini, azure, ollama)
+ * @returns {object} - Provider adapter
+ * @throws {Error} - If the provider is unknown
+ */
+function getProvider(name = 'openai') {
+    const provider = PROVIDERS[String(name).toLowerCase()];
+    if (!provider) {
+        throw new Error(`Unknown provider "${name}" (expected one of: ${Object.keys(PROVIDERS).join(', ')})`);
+    }
+    return provider;
+}
+
+module.exports = {
+    getProvider
+};
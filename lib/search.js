@@ -0,0 +1,105 @@
+/**
+ * Search module
+ * Emits a local search index with one record per post and language, so theme search can filter by the active
+ * language instead of matching the mixed-language content of inline posts
+ */
+
+const { getTranslatedUrl, getTranslatedTerms } = require('./generator');
+const { summarize } = require('./seo');
+
+/**
+ * Documents that can be indexed, as in hexo-generator-searchdb
+ */
+const SEARCH_FIELDS = ['post', 'page', 'all'];
+
+/**
+ * Resolves the search index options from the config value
+ * @param {boolean|object} [config] - `llm_translation.search` value, true for the defaults
+ * @returns {{ path: string, field: string, content: boolean }|null} - Options, or null when the index is off
+ * @throws {Error} - If `field` is not supported
+ */
+function getSearchOptions(config) {
+    if (!config) return null;
+    const options = config === true ? {} : config;
+    if (options.enable === false) return null;
+    const field = String(options.field || 'post').toLowerCase();
+    if (!SEARCH_FIELDS.includes(field)) {
+        throw new Error(`Unknown search field "${field}" (available: ${SEARCH_FIELDS.join(', ')})`);
+    }
+    return {
+        path: String(options.path || 'search.json').replace(/^\/+/, ''),
+        field,
+        content: options.content !== false
+    };
+}
+
+/**
+ * Converts Markdown (or translated content with highlighted code) to searchable plain text
+ * @param {string} content - Markdown content
+ * @returns {string} - Plain text
+ */
+function getSearchText(content) {
+    return summarize(content, Infinity);
+}
+
+/**
+ * Registers the search index generator with Hexo
+ * With `:lang` in the path one file is written per language (e.g. search.:lang.json), otherwise a single file
+ * holds the records of every language.
+ * @param {object} hexo - Hexo instance
+ * @param {object} options - Generator options
+ * @param {{ path: string, field: string, content: boolean }} options.search - Options from getSearchOptions()
+ * @param {string[]} options.languages - Site languages
+ * @param {boolean} options.pageMode - Whether translations are emitted as separate pages
+ * @param {string} [options.pathPrefix=':lang'] - Path prefix template of translated pages
+ * @param {function(object): Promise<Object<string, object>|null>} options.getTranslations - Resolves the translations of a post keyed by language
+ * @param {function(object): string} options.getSourceLanguage - Resolves the language a post is written in
+ * @param {function(object): string} options.getOriginalTitle - Resolves the title a post was written with
+ * @param {function(object): boolean} options.isTranslatable - Whether a post or page is translated (layouts, include/exclude, no_translate)
+ */
+function registerSearchGenerator(hexo, { search, languages, pageMode, pathPrefix = ':lang', getTranslations, getSourceLanguage, getOriginalTitle, isTranslatable }) {
+    hexo.extend.generator.register('llm_translation_search', async (locals) => {
+        let documents = [];
+        if (search.field !== 'page') documents = documents.concat(locals.posts.sort('-date').toArray());
+        if (search.field !== 'post') documents = documents.concat(locals.pages.toArray());
+
+        const records = [];
+        for (const post of documents) {
+            if (post.indexing === false) continue;
+            const sourceLanguage = getSourceLanguage(post);
+            const originalTitle = getOriginalTitle(post) || '';
+            const translations = (isTranslatable(post) && await getTranslations(post)) || {};
+
+            [sourceLanguage, ...Object.keys(translations)].forEach(lang => {
+                const translation = lang === sourceLanguage ? null : translations[lang];
+                const translatedFields = (translation && translation.translatedFields) || {};
+                const record = {
+                    lang,
+                    title: translation ? translation.translatedTitle : originalTitle,
+                    original_title: originalTitle,
+                    original_lang: sourceLanguage,
+                    url: translation ? getTranslatedUrl(hexo, post, lang, { pageMode, pathPrefix }) : post.permalink,
+                    tags: getTranslatedTerms(post, 'tags', translatedFields),
+                    categories: getTranslatedTerms(post, 'categories', translatedFields)
+                };
+                if (search.content) {
+                    record.content = getSearchText(translation ? translation.translatedContent : (post._content || ''));
+                }
+                records.push(record);
+            });
+        }
+
+        if (!search.path.includes(':lang')) {
+            return { path: search.path, data: JSON.stringify(records) };
+        }
+        return languages.map(lang => ({
+            path: search.path.replace(/:lang/g, lang),
+            data: JSON.stringify(records.filter(record => record.lang === lang))
+        }));
+    });
+}
+
+module.exports = {
+    getSearchOptions,
+    registerSearchGenerator
+};
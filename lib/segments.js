@@ -0,0 +1,151 @@
+/**
+ * Segments module
+ * Splits posts into heading sections for chunked requests and the segment-level translation memory
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Splits a block of Markdown into parts no longer than maxChars, cutting at blank lines
+ * A single paragraph longer than maxChars is kept whole.
+ * @param {string} text - Markdown text
+ * @param {number} maxChars - Maximum characters per part
+ * @returns {string[]} - Parts in order
+ */
+function splitByParagraphs(text, maxChars) {
+    const parts = [];
+    let current = '';
+    text.split(/(?<=\n\s*\n)/).forEach(paragraph => {
+        // Keep a heading together with the paragraph that follows it
+        const isHeadingOnly = /^#{1,6}\s[^\n]*\s*$/.test(current);
+        if (current && !isHeadingOnly && current.length + paragraph.length > maxChars) {
+            parts.push(current);
+            current = '';
+        }
+        current += paragraph;
+    });
+    if (current) parts.push(current);
+    return parts;
+}
+
+/**
+ * Splits content into segments at Markdown headings
+ * Headings inside Hexo block tags ({% tabs %}...{% endtabs %}) are not used as split points,
+ * and sections longer than maxChars are split further at paragraphs.
+ * @param {string} content - Content (with protected spans already replaced by placeholders)
+ * @param {number} [maxChars=0] - Maximum characters per segment, 0 or less keeps sections whole
+ * @param {function} [expand] - Restores placeholders in a line, so masked Hexo tags still mark block boundaries
+ * @returns {string[]} - Segments in order; joining them gives back the content
+ */
+function splitIntoSegments(content, maxChars = 0, expand = text => text) {
+    const sections = [];
+    const openBlocks = [];
+    const expandedContent = expand(content);
+    let current = '';
+    content.split(/(?<=\n)/).forEach(line => {
+        if (openBlocks.length === 0 && /^#{1,6}\s/.test(line) && current.trim()) {
+            sections.push(current);
+            current = '';
+        }
+        current += line;
+
+        const tagPattern = /\{%\s*(\/?)(end)?([\w-]+)/g;
+        let match;
+        const expandedLine = expand(line);
+        while ((match = tagPattern.exec(expandedLine)) !== null) {
+            const name = match[3];
+            if (match[1] || match[2]) {
+                const index = openBlocks.lastIndexOf(name);
+                if (index !== -1) openBlocks.splice(index);
+            } else if (new RegExp(`\\{%\\s*\\/?end${name}\\b`).test(expandedContent)) {
+                openBlocks.push(name);
+            }
+        }
+    });
+    if (current) sections.push(current);
+
+    if (!maxChars || maxChars <= 0) {
+        return sections;
+    }
+    const segments = [];
+    sections.forEach(section => {
+        segments.push(...(section.length > maxChars ? splitByParagraphs(section, maxChars) : [section]));
+    });
+    return segments;
+}
+
+/**
+ * Groups segment indexes into request batches of at most maxChars
+ * Only consecutive segments are grouped so each batch reads as continuous text.
+ * @param {string[]} segments - All segments
+ * @param {number[]} indexes - Indexes of the segments to translate, ascending
+ * @param {number} [maxChars=0] - Maximum characters per batch, 0 or less puts everything in one batch
+ * @returns {number[][]} - Batches of segment indexes
+ */
+function groupSegments(segments, indexes, maxChars = 0) {
+    const batches = [];
+    let batch = [];
+    let size = 0;
+    indexes.forEach(index => {
+        const length = segments[index].length;
+        const isConsecutive = batch.length === 0 || batch[batch.length - 1] === index - 1;
+        const fits = !maxChars || maxChars <= 0 || size + length <= maxChars;
+        if (batch.length > 0 && (!isConsecutive || !fits)) {
+            batches.push(batch);
+            batch = [];
+            size = 0;
+        }
+        batch.push(index);
+        size += length;
+    });
+    if (batch.length > 0) batches.push(batch);
+    return batches;
+}
+
+/**
+ * Hashes a source segment for the translation memory
+ * @param {string} segment - Source segment with code blocks restored
+ * @returns {string} - Segment hash
+ */
+function hashSegment(segment) {
+    return crypto.createHash('md5').update(segment.trim()).digest('hex');
+}
+
+/**
+ * Joins several segments into one request body, separated by [SEGMENT_N] markers
+ * @param {string[]} texts - Segment texts
+ * @returns {string} - Marked content (a single segment is returned unmarked)
+ */
+function joinMarkedSegments(texts) {
+    if (texts.length === 1) return texts[0];
+    return texts.map((text, index) => `[SEGMENT_${index + 1}]\n${text.trim()}`).join('\n\n');
+}
+
+/**
+ * Splits translated content at the [SEGMENT_N] markers added by joinMarkedSegments()
+ * @param {string} content - Translated content
+ * @param {number} count - Number of segments that were sent
+ * @returns {string[]} - Translated segments in order
+ * @throws {Error} - If markers are missing or out of order
+ */
+function splitMarkedSegments(content, count) {
+    if (count === 1) return [content];
+    const parts = content.split(/^[ \t]*\[SEGMENT_(\d+)\][ \t]*$/m);
+    const texts = [];
+    for (let i = 1; i < parts.length; i += 2) {
+        if (Number(parts[i]) !== texts.length + 1) break;
+        texts.push(parts[i + 1]);
+    }
+    if (texts.length !== count) {
+        throw new Error(`Segment markers lost in model output (expected ${count}, found ${texts.length})`);
+    }
+    return texts;
+}
+
+module.exports = {
+    splitIntoSegments,
+    groupSegments,
+    hashSegment,
+    joinMarkedSegments,
+    splitMarkedSegments
+};
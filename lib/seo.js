@@ -0,0 +1,165 @@
+/**
+ * SEO module
+ * Emits hreflang alternate links, og:locale and translated meta descriptions for translated posts
+ */
+
+const { SOURCE_LANGUAGE, getLocale } = require('./languages');
+const { getTranslatedPath } = require('./generator');
+
+/**
+ * Escapes a string for use in an HTML attribute
+ * @param {string} str - Raw string
+ * @returns {string} - Escaped string
+ */
+function escapeAttribute(str) {
+    return String(str)
+        .replace(/&/g, '&amp;')
+        .replace(/"/g, '&quot;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
+
+/**
+ * Converts Markdown/HTML content into a plain-text summary
+ * Code blocks are left out, both fenced and already highlighted by Hexo.
+ * @param {string} content - Markdown content
+ * @param {number} [length=150] - Maximum summary length in characters
+ * @returns {string} - Plain-text summary
+ */
+function summarize(content, length = 150) {
+    const text = content
+        .replace(/<!--[\s\S]*?-->/g, ' ')
+        .replace(/<hexoPostRenderCodeBlock>[\s\S]*?<\/hexoPostRenderCodeBlock>/g, ' ')
+        .replace(/```[\s\S]*?```/g, ' ')
+        .replace(/\{%[\s\S]*?%\}/g, ' ')
+        .replace(/<script[\s\S]*?<\/script>/gi, ' ')
+        .replace(/<[^>]+>/g, ' ')
+        .replace(/!\[[^\]]*\]\([^)]*\)/g, ' ')
+        .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+        .replace(/^\s{0,3}(#{1,6}|>|[-*+]|\d+\.)\s+/gm, '')
+        .replace(/[*_`~]/g, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+    return text.length > length ? `${text.slice(0, length - 3).trim()}...` : text;
+}
+
+/**
+ * Replaces an existing meta tag or returns null when the page has none
+ * @param {string} html - Page HTML
+ * @param {string} attr - Identifying attribute ('name' or 'property')
+ * @param {string} key - Attribute value (e.g., 'description', 'og:locale')
+ * @param {string} content - New content value
+ * @returns {string|null} - Updated HTML, or null if the tag does not exist
+ */
+function replaceMetaTag(html, attr, key, content) {
+    const pattern = new RegExp(`<meta\\s+${attr}=["']${key}["'][^>]*>`, 'i');
+    if (!pattern.test(html)) return null;
+    return html.replace(pattern, `<meta ${attr}="${key}" content="${escapeAttribute(content)}">`);
+}
+
+/**
+ * Builds the SEO tags for one rendered page of a translated post
+ * @param {object} options - Tag options
+ * @param {string} options.pageLang - Language of the rendered page
+ * @param {string[]} options.alternateLanguages - Other languages the post is available in
+ * @param {string|null} options.description - Description in the page language, null to keep the theme's
+ * @param {Object<string, string>|null} options.alternateUrls - URL per language, null when all languages share one URL
+ * @param {string} [options.sourceLanguage='zh'] - Language of the original, its URL is the x-default
+ * @returns {{ meta: Array<[string, string, string]>, links: string[] }} - Meta tags as [attr, key, content] and extra link/meta markup
+ */
+function buildSeoTags({ pageLang, alternateLanguages, description, alternateUrls, sourceLanguage = SOURCE_LANGUAGE }) {
+    const meta = [['property', 'og:locale', getLocale(pageLang)]];
+    if (description) {
+        meta.push(['name', 'description', description]);
+        meta.push(['property', 'og:description', description]);
+    }
+
+    const links = alternateLanguages.map(lang =>
+        `<meta property="og:locale:alternate" content="${escapeAttribute(getLocale(lang))}">`
+    );
+    if (alternateUrls) {
+        Object.keys(alternateUrls).forEach(lang => {
+            links.push(`<link rel="alternate" hreflang="${escapeAttribute(lang)}" href="${escapeAttribute(alternateUrls[lang])}">`);
+        });
+        links.push(`<link rel="alternate" hreflang="x-default" href="${escapeAttribute(alternateUrls[sourceLanguage])}">`);
+    }
+    return { meta, links };
+}
+
+/**
+ * Injects SEO tags into the page head, replacing tags the theme already emitted
+ * @param {string} html - Page HTML
+ * @param {{ meta: Array<[string, string, string]>, links: string[] }} tags - Tags from buildSeoTags()
+ * @returns {string} - Updated HTML
+ */
+function injectSeoTags(html, { meta, links }) {
+    const appended = [...links];
+    meta.forEach(([attr, key, content]) => {
+        const replaced = replaceMetaTag(html, attr, key, content);
+        if (replaced === null) {
+            appended.push(`<meta ${attr}="${key}" content="${escapeAttribute(content)}">`);
+        } else {
+            html = replaced;
+        }
+    });
+    // Drop alternates emitted by the theme so they are not duplicated
+    html = html.replace(/<meta\s+property=["']og:locale:alternate["'][^>]*>/gi, '');
+    return html.replace('</head>', `${appended.join('')}</head>`);
+}
+
+/**
+ * Registers the SEO filter that decorates rendered post pages
+ * @param {object} hexo - Hexo instance
+ * @param {object} options - Filter options
+ * @param {boolean} options.pageMode - Whether translations are emitted as separate pages
+ * @param {string} [options.pathPrefix=':lang'] - Path prefix template of translated pages
+ * @param {function(object): Promise<Object<string, object>|null>} options.getTranslations - Resolves the translations of a post keyed by language
+ * @param {function(object): string} options.getSourceLanguage - Resolves the language a post is written in
+ * @param {string} options.displayLanguage - Language inline pages show by default (the first target language)
+ */
+function registerSeoFilter(hexo, { pageMode, pathPrefix = ':lang', getTranslations, getSourceLanguage, displayLanguage }) {
+    const fullUrlFor = hexo.extend.helper.get('full_url_for').bind(hexo);
+
+    hexo.extend.filter.register('after_render:html', async (html, locals) => {
+        const page = locals && locals.page;
+        if (!page || !page.source || !(page.__post || page.__page) || page.no_translate) return html;
+
+        const translations = await getTranslations(page);
+        if (!translations) return html;
+
+        const sourceLanguage = getSourceLanguage(page);
+        const translatedLanguages = Object.keys(translations);
+        const allLanguages = [sourceLanguage, ...translatedLanguages];
+        // Inline pages are rendered in the display language (the original when the post is written in it, otherwise the
+        // first available translation); generated translated pages carry their own language
+        const isTranslatedPage = pageMode && !!page.original_path;
+        const inlineLang = (translations[displayLanguage] || sourceLanguage === displayLanguage) ? displayLanguage : translatedLanguages[0];
+        const pageLang = pageMode ? (isTranslatedPage ? page.lang : sourceLanguage) : inlineLang;
+        const translation = translations[pageLang];
+
+        let alternateUrls = null;
+        if (pageMode) {
+            const originalPath = page.original_path || page.path;
+            alternateUrls = { [sourceLanguage]: fullUrlFor(originalPath) };
+            translatedLanguages.forEach(lang => {
+                alternateUrls[lang] = fullUrlFor(getTranslatedPath(pathPrefix, lang, originalPath));
+            });
+        }
+
+        return injectSeoTags(html, buildSeoTags({
+            pageLang,
+            alternateLanguages: allLanguages.filter(lang => lang !== pageLang),
+            description: translation
+                ? ((translation.translatedFields && translation.translatedFields.description) || summarize(translation.translatedContent))
+                : null,
+            alternateUrls,
+            sourceLanguage
+        }));
+    });
+}
+
+module.exports = {
+    summarize,
+    buildSeoTags,
+    registerSeoFilter
+};
@@ -0,0 +1,412 @@
+/**
+ * Storage backends
+ * Each backend persists cache entries (keyed by source path) for the Storage class and the migrate command
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Default table/key names shared by the database backends
+ */
+const DEFAULT_TABLE = 'hexo_translate_cache';
+
+/**
+ * Loads an optional dependency, with an install hint when it is missing
+ * @param {string} name - Package name
+ * @param {string} backend - Backend that needs the package
+ * @returns {*} - The module
+ * @throws {Error} - If the package is not installed
+ */
+function requireOptional(name, backend) {
+    try {
+        return require(name);
+    } catch (error) {
+        if (error.code === 'MODULE_NOT_FOUND') {
+            throw new Error(`The ${backend} storage backend needs the "${name}" package (npm install ${name})`);
+        }
+        throw error;
+    }
+}
+
+/**
+ * Checks a SQL table name, which cannot be passed as a query parameter
+ * @param {string} table - Table name from the config
+ * @returns {string} - The table name
+ * @throws {Error} - If the name is not a plain identifier
+ */
+function checkTableName(table) {
+    if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(table)) {
+        throw new Error(`Invalid table name "${table}"`);
+    }
+    return table;
+}
+
+/**
+ * Resolves the file of a cache entry in the files backend
+ * @param {string} dir - Backend directory
+ * @param {string} key - Source path, e.g. `_posts/hello.md`
+ * @returns {string} - Absolute path, e.g. `<dir>/_posts/hello.md.json`
+ * @throws {Error} - If the key would leave the directory
+ */
+function getEntryFile(dir, key) {
+    const file = path.resolve(dir, `${key}.json`);
+    if (!file.startsWith(dir + path.sep)) {
+        throw new Error(`Invalid cache key "${key}"`);
+    }
+    return file;
+}
+
+/**
+ * Lists the JSON files below a directory
+ * @param {string} dir - Directory to walk
+ * @returns {string[]} - Absolute file paths
+ */
+function listJsonFiles(dir) {
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+        const file = path.join(dir, entry.name);
+        if (entry.isDirectory()) return listJsonFiles(file);
+        return entry.isFile() && entry.name.endsWith('.json') ? [file] : [];
+    });
+}
+
+/**
+ * Opens a SQLite database with better-sqlite3, or node:sqlite on Node versions that ship it
+ * @param {string} file - Database file
+ * @returns {object} - Database with exec() and prepare()
+ */
+function openSqlite(file) {
+    let Database;
+    try {
+        Database = require('better-sqlite3');
+    } catch (error) {
+        try {
+            Database = require('node:sqlite').DatabaseSync;
+        } catch (e) {
+            Database = requireOptional('better-sqlite3', 'sqlite');
+        }
+    }
+    return new Database(file);
+}
+
+/**
+ * Default JSON cache file, relative to the site folder
+ */
+const DEFAULT_JSON_FILE = 'node_modules/.cache/ai-translate-cache.json';
+
+/**
+ * Returns the JSON cache file used when `storage.json.path` is not set
+ * Earlier versions kept the file under the working directory, so that file is used while the site folder has none.
+ * @param {object} hexo - Hexo instance
+ * @returns {string} - Absolute file path
+ */
+function getDefaultJsonFile(hexo) {
+    const cacheFile = path.resolve(hexo.base_dir, DEFAULT_JSON_FILE);
+    const legacyFile = path.resolve(process.cwd(), DEFAULT_JSON_FILE);
+    return !fs.existsSync(cacheFile) && fs.existsSync(legacyFile) ? legacyFile : cacheFile;
+}
+
+/**
+ * Available backends, keyed by the `llm_translation.storage.backend` value
+ * create() returns { load(), save(entries), delete(keys), close() } and, for local backends, loadSync().
+ * Options are the backend's own section of the storage config, relative paths resolve against the site folder.
+ */
+const STORAGE_BACKENDS = {
+    // One JSON file, rewritten on every save
+    json: {
+        create(hexo, { path: file } = {}) {
+            const cacheFile = file ? path.resolve(hexo.base_dir, file) : getDefaultJsonFile(hexo);
+            const read = () => (fs.existsSync(cacheFile) ? JSON.parse(fs.readFileSync(cacheFile, 'utf-8')) : {});
+            let entries = null;
+            const write = () => {
+                fs.mkdirSync(path.dirname(cacheFile), { recursive: true });
+                fs.writeFileSync(cacheFile, JSON.stringify(entries, null, 2));
+            };
+            return {
+                description: path.relative(hexo.base_dir, cacheFile),
+                loadSync() {
+                    try {
+                        entries = read();
+                    } catch (error) {
+                        // A corrupted file is replaced on the next save
+                        entries = {};
+                        throw error;
+                    }
+                    return { ...entries };
+                },
+                async load() {
+                    return this.loadSync();
+                },
+                async save(changes) {
+                    entries = Object.assign(entries || read(), changes);
+                    write();
+                },
+                async delete(keys) {
+                    entries = entries || read();
+                    keys.forEach(key => {
+                        delete entries[key];
+                    });
+                    write();
+                },
+                async close() {}
+            };
+        }
+    },
+
+    // One JSON file per source file, e.g. source/_translations/_posts/hello.md.json, meant to be committed
+    files: {
+        create(hexo, { dir = 'source/_translations' } = {}) {
+            const root = path.resolve(hexo.base_dir, dir);
+            return {
+                description: path.relative(hexo.base_dir, root),
+                loadSync() {
+                    const entries = {};
+                    listJsonFiles(root).forEach(file => {
+                        const key = path.relative(root, file).slice(0, -'.json'.length).split(path.sep).join('/');
+                        entries[key] = JSON.parse(fs.readFileSync(file, 'utf-8'));
+                    });
+                    return entries;
+                },
+                async load() {
+                    return this.loadSync();
+                },
+                async save(changes) {
+                    Object.keys(changes).forEach(key => {
+                        const file = getEntryFile(root, key);
+                        fs.mkdirSync(path.dirname(file), { recursive: true });
+                        fs.writeFileSync(file, `${JSON.stringify(changes[key], null, 2)}\n`);
+                    });
+                },
+                async delete(keys) {
+                    keys.forEach(key => {
+                        const file = getEntryFile(root, key);
+                        if (!fs.existsSync(file)) return;
+                        fs.unlinkSync(file);
+                        // Remove folders left empty, up to the backend directory
+                        let folder = path.dirname(file);
+                        while (folder !== root && fs.readdirSync(folder).length === 0) {
+                            fs.rmdirSync(folder);
+                            folder = path.dirname(folder);
+                        }
+                    });
+                },
+                async close() {}
+            };
+        }
+    },
+
+    // Local SQLite database, entries are written individually instead of rewriting the whole cache
+    sqlite: {
+        create(hexo, { path: file = 'node_modules/.cache/ai-translate-cache.sqlite', table = DEFAULT_TABLE } = {}) {
+            const dbFile = path.resolve(hexo.base_dir, file);
+            const tableName = checkTableName(table);
+            fs.mkdirSync(path.dirname(dbFile), { recursive: true });
+            const db = openSqlite(dbFile);
+            db.exec(`CREATE TABLE IF NOT EXISTS ${tableName} (key TEXT PRIMARY KEY, value TEXT NOT NULL, updated_at TEXT NOT NULL)`);
+            const upsert = db.prepare(`
+                INSERT INTO ${tableName} (key, value, updated_at) VALUES (?, ?, ?)
+                ON CONFLICT (key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at
+            `);
+            const remove = db.prepare(`DELETE FROM ${tableName} WHERE key = ?`);
+            const inTransaction = callback => {
+                db.exec('BEGIN');
+                try {
+                    callback();
+                    db.exec('COMMIT');
+                } catch (error) {
+                    db.exec('ROLLBACK');
+                    throw error;
+                }
+            };
+            return {
+                description: path.relative(hexo.base_dir, dbFile),
+                loadSync() {
+                    const entries = {};
+                    db.prepare(`SELECT key, value FROM ${tableName}`).all().forEach(row => {
+                        entries[row.key] = JSON.parse(row.value);
+                    });
+                    return entries;
+                },
+                async load() {
+                    return this.loadSync();
+                },
+                async save(changes) {
+                    const now = new Date().toISOString();
+                    inTransaction(() => {
+                        Object.keys(changes).forEach(key => upsert.run(key, JSON.stringify(changes[key]), now));
+                    });
+                },
+                async delete(keys) {
+                    inTransaction(() => keys.forEach(key => remove.run(key)));
+                },
+                async close() {
+                    db.close();
+                }
+            };
+        }
+    },
+
+    // Redis hash (field = source path, value = JSON entry)
+    redis: {
+        remote: true,
+        create(hexo, { url = process.env.REDIS_URL, key = DEFAULT_TABLE } = {}) {
+            if (!url) {
+                throw new Error('The redis storage backend needs storage.redis.url or REDIS_URL');
+            }
+            const { createClient } = requireOptional('redis', 'redis');
+            const client = createClient({ url });
+            client.on('error', error => hexo.log.error(`[AI Translate] Redis Error: ${error.message}`));
+            let connecting = null;
+            const connect = () => {
+                if (!connecting) connecting = client.connect();
+                return connecting;
+            };
+            return {
+                description: `redis hash "${key}"`,
+                async load() {
+                    await connect();
+                    const entries = {};
+                    const values = await client.hGetAll(key);
+                    Object.keys(values).forEach(field => {
+                        entries[field] = JSON.parse(values[field]);
+                    });
+                    return entries;
+                },
+                async save(changes) {
+                    const fields = Object.keys(changes);
+                    if (fields.length === 0) return;
+                    await connect();
+                    const values = {};
+                    fields.forEach(field => {
+                        values[field] = JSON.stringify(changes[field]);
+                    });
+                    await client.hSet(key, values);
+                },
+                async delete(keys) {
+                    if (keys.length === 0) return;
+                    await connect();
+                    await client.hDel(key, keys);
+                },
+                async close() {
+                    if (!connecting) return;
+                    // A connection that failed has nothing to close, its error was reported where it was used
+                    const connected = await connecting.then(() => true, () => false);
+                    if (connected) await client.quit();
+                }
+            };
+        }
+    },
+
+    // PostgreSQL (e.g. Neon), `ssl` is 'no-verify' (TLS without a certificate check, as in earlier versions), true to
+    // verify the certificate, or false for a server without TLS
+    postgres: {
+        remote: true,
+        create(hexo, { url = process.env.DATABASE_URL, table = DEFAULT_TABLE, ssl = 'no-verify' } = {}) {
+            if (!url) {
+                throw new Error('The postgres storage backend needs storage.postgres.url or DATABASE_URL');
+            }
+            const tableName = checkTableName(table);
+            const { Pool } = requireOptional('pg', 'postgres');
+            const pool = new Pool({
+                connectionString: url,
+                ssl: ssl === 'no-verify' ? { rejectUnauthorized: false } : ssl ? { rejectUnauthorized: true } : false
+            });
+            let initializing = null;
+            const init = () => {
+                if (!initializing) {
+                    initializing = pool.query(`
+                        CREATE TABLE IF NOT EXISTS ${tableName} (
+                            key TEXT PRIMARY KEY,
+                            value JSONB,
+                            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+                        );
+                    `);
+                }
+                return initializing;
+            };
+            return {
+                description: `postgres table "${tableName}"`,
+                async load() {
+                    await init();
+                    const entries = {};
+                    const res = await pool.query(`SELECT key, value FROM ${tableName}`);
+                    res.rows.forEach(row => {
+                        entries[row.key] = row.value;
+                    });
+                    return entries;
+                },
+                async save(changes) {
+                    const keys = Object.keys(changes);
+                    if (keys.length === 0) return;
+                    await init();
+                    // One transaction, so an interrupted save leaves no half-written batch behind
+                    const client = await pool.connect();
+                    try {
+                        await client.query('BEGIN');
+                        for (const key of keys) {
+                            await client.query(`
+                                INSERT INTO ${tableName} (key, value, updated_at)
+                                VALUES ($1, $2, CURRENT_TIMESTAMP)
+                                ON CONFLICT (key) DO UPDATE SET value = $2, updated_at = CURRENT_TIMESTAMP
+                            `, [key, changes[key]]);
+                        }
+                        await client.query('COMMIT');
+                    } catch (error) {
+                        await client.query('ROLLBACK').catch(() => {});
+                        throw error;
+                    } finally {
+                        client.release();
+                    }
+                },
+                async delete(keys) {
+                    await init();
+                    await pool.query(`DELETE FROM ${tableName} WHERE key = ANY($1)`, [keys]);
+                },
+                async close() {
+                    await pool.end();
+                }
+            };
+        }
+    }
+};
+
+/**
+ * Backend names, the values accepted by `llm_translation.storage.backend`
+ */
+const STORAGE_BACKEND_NAMES = Object.keys(STORAGE_BACKENDS);
+
+/**
+ * Returns the configured backend name
+ * Without `storage.backend`, DATABASE_URL selects postgres as in earlier versions, otherwise the JSON file is used.
+ * @param {object} [config] - `llm_translation.storage` value
+ * @returns {string} - Backend name
+ */
+function getStorageBackendName(config) {
+    const name = config && config.backend;
+    if (name) return String(name).toLowerCase();
+    return process.env.DATABASE_URL ? 'postgres' : 'json';
+}
+
+/**
+ * Creates a storage backend
+ * @param {object} hexo - Hexo instance
+ * @param {string} name - Backend name (json, files, sqlite, redis, postgres)
+ * @param {object} [config] - `llm_translation.storage` value, the section named after the backend holds its options
+ * @returns {object} - Backend with load(), save(), delete(), close(), a description, a remote flag and optionally loadSync()
+ * @throws {Error} - If the backend is unknown, misconfigured or its package is missing
+ */
+function createStorageBackend(hexo, name, config) {
+    const backend = STORAGE_BACKENDS[name];
+    if (!backend) {
+        throw new Error(`Unknown storage backend "${name}" (expected one of: ${STORAGE_BACKEND_NAMES.join(', ')})`);
+    }
+    const instance = backend.create(hexo, (config && config[name]) || {});
+    return Object.assign(instance, { name, remote: !!backend.remote });
+}
+
+module.exports = {
+    STORAGE_BACKEND_NAMES,
+    getStorageBackendName,
+    createStorageBackend
+};
@@ -1,132 +1,130 @@
-const fs = require('fs');
-const path = require('path');
+const { getStorageBackendName, createStorageBackend } = require('./storage-backends');
 
 class Storage {
-    constructor(hexo) {
+    /**
+     * @param {object} hexo - Hexo instance
+     * @param {object} [config] - `llm_translation.storage` value ({ backend, json, files, sqlite, redis, postgres })
+     */
+    constructor(hexo, config) {
         this.hexo = hexo;
-        this.cacheDir = path.join(process.cwd(), 'node_modules', '.cache');
-        this.cacheFile = path.join(this.cacheDir, 'ai-translate-cache.json');
+        this.config = config || {};
         this.cache = {};
-        this.localCacheLoaded = false;
-        this.dbUrl = process.env.DATABASE_URL;
-        this.isDbEnabled = !!this.dbUrl;
-        this.pool = null;
         this.isClosed = false;
 
-        if (!fs.existsSync(this.cacheDir)) {
-            fs.mkdirSync(this.cacheDir, { recursive: true });
+        const name = getStorageBackendName(this.config);
+        try {
+            this.backend = createStorageBackend(hexo, name, this.config);
+        } catch (e) {
+            this.hexo.log.warn(`[AI Translate] Failed to initialize ${name} storage: ${e.message}. Falling back to the local cache file.`);
+            this.backend = createStorageBackend(hexo, 'json', this.config);
+        }
+        if (this.backend.remote) {
+            this.hexo.log.info(`[AI Translate] Using ${this.backend.description} as the translation cache.`);
+            // Remote backends are mirrored to the local JSON file, which also provides the snapshot below
+            this.mirror = createStorageBackend(hexo, 'json', this.config);
         }
 
-        // Load local cache synchronously for injector access.
+        // Load local backends (or the local mirror) synchronously for injector access.
         // This is necessary because Hexo injectors are evaluated during plugin initialization,
         // before the async load() method is called in before_post_render filter.
-        this._loadLocalCacheFile();
-
-        if (this.isDbEnabled) {
+        const local = this.mirror || this.backend;
+        if (local.loadSync) {
             try {
-                const { Pool } = require('pg');
-                this.pool = new Pool({
-                    connectionString: this.dbUrl,
-                    ssl: { rejectUnauthorized: false } // Neon requires SSL
-                });
-                this.hexo.log.info('[AI Translate] Neon PostgreSQL storage enabled.');
+                this.cache = local.loadSync();
             } catch (e) {
-                this.hexo.log.warn('[AI Translate] Failed to initialize PostgreSQL. Falling back to local cache.');
-                this.isDbEnabled = false;
+                this.hexo.log.warn(`[AI Translate] Failed to read the cache (${local.description}): ${e.message}`);
             }
         }
     }
 
-    /**
-     * Load local cache file into memory.
-     * @private
-     */
-    _loadLocalCacheFile() {
-        if (!fs.existsSync(this.cacheFile)) {
-            return;
-        }
+    async load() {
         try {
-            this.cache = JSON.parse(fs.readFileSync(this.cacheFile, 'utf-8'));
-            this.localCacheLoaded = true;
+            const entries = await this.backend.load();
+            Object.assign(this.cache, entries);
+            if (this.backend.remote) {
+                this.hexo.log.info(`[AI Translate] Synced ${Object.keys(entries).length} items from ${this.backend.description}.`);
+                await this._saveMirror(entries);
+            }
         } catch (e) {
-            this.hexo.log.warn(`[AI Translate] Failed to parse local cache file: ${e.message}`);
-            this.cache = {};
+            this.hexo.log.error(`[AI Translate] Cache Load Error (${this.backend.description}): ${e.message}`);
         }
+        return this.cache;
     }
 
-    async initDb() {
-        if (!this.isDbEnabled) return;
+    /**
+     * Write entries to the local mirror of a remote backend.
+     * @param {Object<string, object>} entries - Cache entries keyed by source path
+     * @private
+     */
+    async _saveMirror(entries) {
+        if (!this.mirror) return;
         try {
-            await this.pool.query(`
-                CREATE TABLE IF NOT EXISTS hexo_translate_cache (
-                    key TEXT PRIMARY KEY,
-                    value JSONB,
-                    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-                );
-            `);
+            await this.mirror.save(entries);
         } catch (e) {
-            this.hexo.log.error(`[AI Translate] DB Init Error: ${e.message}`);
-            this.isDbEnabled = false;
+            this.hexo.log.error(`[AI Translate] Local Save Error (${this.mirror.description}): ${e.message}`);
         }
     }
 
-    async load() {
-        // 1. Load from local cache file if not already loaded
-        if (!this.localCacheLoaded) {
-            this._loadLocalCacheFile();
-        }
-
-        // 2. 如果启用了 DB，从远程同步
-        if (this.isDbEnabled) {
-            try {
-                await this.initDb();
-                const res = await this.pool.query('SELECT key, value FROM hexo_translate_cache');
-                res.rows.forEach(row => {
-                    this.cache[row.key] = row.value;
-                });
-                this.hexo.log.info(`[AI Translate] Synced ${res.rowCount} items from Neon DB.`);
-            } catch (e) {
-                this.hexo.log.error(`[AI Translate] DB Load Error: ${e.message}`);
-            }
-        }
-        return this.cache;
+    async save(source, data) {
+        await this.saveMany({ [source]: data });
     }
 
-    async save(source, data) {
-        this.cache[source] = data;
-        
-        // 保存到本地
+    /**
+     * Save several entries at once (the backend is written only once).
+     * @param {Object<string, object>} entries - Cache entries keyed by source path
+     */
+    async saveMany(entries) {
+        Object.assign(this.cache, entries);
+        await this._saveMirror(entries);
+        if (this.isClosed) return;
         try {
-            fs.writeFileSync(this.cacheFile, JSON.stringify(this.cache, null, 2));
+            await this.backend.save(entries);
         } catch (e) {
-            this.hexo.log.error(`[AI Translate] Local Save Error: ${e.message}`);
+            if (!this.isClosed) {
+                this.hexo.log.error(`[AI Translate] Cache Save Error (${this.backend.description}): ${e.message}`);
+            }
         }
+    }
 
-        // 保存到远程
-        if (this.isDbEnabled && !this.isClosed) {
+    /**
+     * Delete entries from the cache.
+     * @param {string[]} sources - Source paths to delete
+     */
+    async delete(sources) {
+        sources.forEach(source => {
+            delete this.cache[source];
+        });
+        if (this.mirror) {
             try {
-                await this.pool.query(`
-                    INSERT INTO hexo_translate_cache (key, value, updated_at)
-                    VALUES ($1, $2, CURRENT_TIMESTAMP)
-                    ON CONFLICT (key) DO UPDATE SET value = $2, updated_at = CURRENT_TIMESTAMP
-                `, [source, data]);
+                await this.mirror.delete(sources);
             } catch (e) {
-                if (!this.isClosed) {
-                    this.hexo.log.error(`[AI Translate] DB Save Error: ${e.message}`);
-                }
+                this.hexo.log.error(`[AI Translate] Local Delete Error (${this.mirror.description}): ${e.message}`);
             }
         }
+        if (this.isClosed) return;
+        try {
+            await this.backend.delete(sources);
+        } catch (e) {
+            this.hexo.log.error(`[AI Translate] Cache Delete Error (${this.backend.description}): ${e.message}`);
+        }
     }
 
     get(source) {
         return this.cache[source];
     }
 
+    /**
+     * List the source paths of all cached entries.
+     * @returns {string[]}
+     */
+    keys() {
+        return Object.keys(this.cache);
+    }
+
     async close() {
+        if (this.isClosed) return;
         this.isClosed = true;
-        if (this.pool) {
-            await this.pool.end();
-        }
+        await this.backend.close();
     }
 }
 
@@ -0,0 +1,175 @@
+/**
+ * Translation Patch module
+ * Loads sidecar patch files (.<lang>.patch.yml, e.g. hello.en.patch.yml) that replace single paragraphs
+ * of an LLM translation, and applies them on top of the cached translation at render time
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+/**
+ * Gets the patch file path for a source file
+ * @param {string} sourceFilePath - Path to the source markdown file (e.g., _posts/hello.md)
+ * @param {string} sourceDir - Hexo source directory path
+ * @param {string} lang - Target language code
+ * @returns {string} - Full path to the patch file (e.g., source/_posts/hello.en.patch.yml)
+ */
+function getPatchPath(sourceFilePath, sourceDir, lang) {
+    const ext = path.extname(sourceFilePath);
+    return path.join(sourceDir, `${sourceFilePath.slice(0, -ext.length)}.${lang}.patch.yml`);
+}
+
+/**
+ * Splits Markdown into paragraphs at blank lines
+ * Fenced code blocks and code highlighted by Hexo are kept whole, so raw and rendered content split alike.
+ * @param {string} content - Markdown content
+ * @returns {string[]} - Paragraphs in order, without the surrounding blank lines
+ */
+function splitParagraphs(content) {
+    const paragraphs = [];
+    let lines = [];
+    let fence = null;
+    let highlighted = false;
+    content.split(/\r?\n/).forEach(line => {
+        if (!fence && !highlighted && !line.trim()) {
+            if (lines.length > 0) paragraphs.push(lines.join('\n'));
+            lines = [];
+            return;
+        }
+        lines.push(line);
+        if (fence) {
+            if (new RegExp(`^ {0,3}${fence[0]}{${fence.length},}[ \\t]*$`).test(line)) fence = null;
+        } else if (highlighted) {
+            if (line.includes('</hexoPostRenderCodeBlock>')) highlighted = false;
+        } else {
+            const match = line.match(/^ {0,3}(`{3,}|~{3,})/);
+            if (match) {
+                fence = match[1];
+            } else if (line.includes('<hexoPostRenderCodeBlock>') && !line.includes('</hexoPostRenderCodeBlock>')) {
+                highlighted = true;
+            }
+        }
+    });
+    if (lines.length > 0) paragraphs.push(lines.join('\n'));
+    return paragraphs;
+}
+
+/**
+ * Hashes a source paragraph, the value a patch refers to with `hash`
+ * @param {string} paragraph - Source paragraph
+ * @returns {string} - Short paragraph hash
+ */
+function hashParagraph(paragraph) {
+    return crypto.createHash('md5').update(paragraph.trim()).digest('hex').slice(0, 8);
+}
+
+/**
+ * Loads the patches of a post
+ * The file holds a list of { anchor | hash, translation }: `anchor` is text found in the source paragraph,
+ * `hash` its paragraph hash (see hashParagraph()), and `translation` the corrected paragraph.
+ * @param {string} sourceFilePath - Path to the source markdown file
+ * @param {string} sourceDir - Hexo source directory path
+ * @param {string} lang - Target language code
+ * @returns {Array<{ anchor?: string, hash?: string, translation: string }>|null} - Patches, or null if there is no patch file
+ * @throws {Error} - If the file is not valid YAML or a patch has the wrong shape
+ */
+function loadTranslationPatches(sourceFilePath, sourceDir, lang) {
+    const file = getPatchPath(sourceFilePath, sourceDir, lang);
+    if (!fs.existsSync(file)) {
+        return null;
+    }
+
+    const data = yaml.load(fs.readFileSync(file, 'utf8'));
+    if (data === null || data === undefined) return [];
+    if (!Array.isArray(data)) {
+        throw new Error('expected a list of { anchor | hash, translation }');
+    }
+    return data.map((patch, index) => {
+        if (!patch || typeof patch !== 'object' || typeof patch.translation !== 'string') {
+            throw new Error(`patch ${index + 1}: "translation" must be a string`);
+        }
+        const hasAnchor = typeof patch.anchor === 'string' && patch.anchor.trim() !== '';
+        const hasHash = patch.hash !== undefined && patch.hash !== null && String(patch.hash).trim() !== '';
+        if (hasAnchor === hasHash) {
+            throw new Error(`patch ${index + 1}: set either "anchor" or "hash"`);
+        }
+        return hasAnchor
+            ? { anchor: patch.anchor.trim(), translation: patch.translation }
+            : { hash: String(patch.hash).trim().toLowerCase(), translation: patch.translation };
+    });
+}
+
+/**
+ * Describes a patch in messages
+ * @param {{ anchor?: string, hash?: string }} patch - Patch
+ * @returns {string}
+ */
+function describePatch(patch) {
+    return patch.anchor !== undefined ? `anchor "${patch.anchor}"` : `hash ${patch.hash}`;
+}
+
+/**
+ * Finds the source paragraph a patch refers to
+ * @param {string[]} paragraphs - Source paragraphs
+ * @param {{ anchor?: string, hash?: string }} patch - Patch
+ * @returns {number[]} - Indexes of the matching paragraphs
+ */
+function findPatchedParagraphs(paragraphs, patch) {
+    const indexes = [];
+    paragraphs.forEach((paragraph, index) => {
+        const matches = patch.anchor !== undefined
+            ? paragraph.includes(patch.anchor)
+            : hashParagraph(paragraph) === patch.hash;
+        if (matches) indexes.push(index);
+    });
+    return indexes;
+}
+
+/**
+ * Replaces the translated paragraphs of the patched source paragraphs
+ * Source and translation are matched paragraph by paragraph, so nothing is applied when their paragraph counts differ.
+ * @param {string} source - Raw Markdown of the original post
+ * @param {string} translatedContent - Translated content
+ * @param {Array<{ anchor?: string, hash?: string, translation: string }>} patches - Patches from loadTranslationPatches()
+ * @returns {{ content: string, applied: number, problems: string[], misaligned: boolean }} - Patched content,
+ *     the number of patches applied and why the others were not
+ */
+function applyTranslationPatches(source, translatedContent, patches) {
+    const sourceParagraphs = splitParagraphs(source);
+    const translatedParagraphs = splitParagraphs(translatedContent);
+    const problems = [];
+    if (sourceParagraphs.length !== translatedParagraphs.length) {
+        return { content: translatedContent, applied: 0, problems, misaligned: true };
+    }
+
+    let applied = 0;
+    patches.forEach(patch => {
+        const indexes = findPatchedParagraphs(sourceParagraphs, patch);
+        if (indexes.length === 0) {
+            problems.push(`${describePatch(patch)} no longer matches a paragraph`);
+        } else if (indexes.length > 1) {
+            problems.push(`${describePatch(patch)} matches ${indexes.length} paragraphs, make it more specific`);
+        } else {
+            translatedParagraphs[indexes[0]] = patch.translation.trim();
+            applied++;
+        }
+    });
+
+    return {
+        content: applied > 0 ? translatedParagraphs.join('\n\n') : translatedContent,
+        applied,
+        problems,
+        misaligned: false
+    };
+}
+
+module.exports = {
+    getPatchPath,
+    splitParagraphs,
+    hashParagraph,
+    loadTranslationPatches,
+    findPatchedParagraphs,
+    applyTranslationPatches
+};
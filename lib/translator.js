@@ -4,75 +4,139 @@
  */
 
 const { fetchWithRetry } = require('./concurrency');
+const { SOURCE_LANGUAGE, getLanguageName } = require('./languages');
+const { getProvider } = require('./providers');
+const { findGlossaryViolations } = require('./glossary');
+const { compareStructure } = require('./validation');
+const { extractProtectedSpans, restoreProtectedSpans } = require('./protect');
+const { DEFAULT_PROMPT_TEMPLATE, getTemplateVariables, renderTemplate } = require('./prompt-template');
+const { estimateTokens } = require('./usage');
+const { splitIntoSegments, groupSegments, hashSegment, joinMarkedSegments, splitMarkedSegments } = require('./segments');
+
+/**
+ * Formats glossary entries as prompt lines
+ * @param {{ terms: Array<{ source: string, target: string }>, doNotTranslate: string[] }|null} glossary - Glossary entries
+ * @returns {string[]} - Prompt lines, empty when there is no glossary
+ */
+function formatGlossary(glossary) {
+    const lines = [];
+    if (glossary && glossary.terms.length > 0) {
+        const terms = glossary.terms.map(({ source, target }) => `\n   - ${source} => ${target}`).join('');
+        lines.push(`Always translate these terms exactly as given:${terms}`);
+    }
+    if (glossary && glossary.doNotTranslate.length > 0) {
+        lines.push(`Keep these terms exactly as written, DO NOT translate them: ${glossary.doNotTranslate.join(', ')}`);
+    }
+    return lines;
+}
 
 /**
  * Builds the translation prompt for the AI model
+ * @param {string} [targetLanguage='en'] - Target language code
+ * @param {object} [options] - Prompt options
+ * @param {string} [options.sourceLanguage='zh'] - Language code of the original content
+ * @param {boolean} [options.withTitle=true] - Whether the title is translated in this request
+ * @param {boolean} [options.withFields=false] - Whether front-matter fields are sent along with the content
+ * @param {boolean} [options.withContent=true] - Whether content is sent, false when only the fields are translated
+ * @param {boolean} [options.withSegments=false] - Whether the content is split by [SEGMENT_N] markers
+ * @param {{ terms: Array<{ source: string, target: string }>, doNotTranslate: string[] }} [options.glossary] - Glossary entries to enforce
+ * @param {string} [options.template] - Prompt template (see lib/prompt-template.js)
+ * @param {string} [options.title=''] - Post title, for the {{title}} variable
+ * @param {string} [options.instructions=''] - Per-post instructions (front-matter `translate_instructions`)
  * @returns {string} - The system prompt for translation
  */
-function buildTranslationPrompt() {
-    return `You are a professional technical translator.
-1. Translate the following Markdown content to English.
-2. DO NOT translate or modify placeholders like [CODE_BLOCK_N]. Keep them exactly as they are.
+function buildTranslationPrompt(targetLanguage = 'en', {
+    sourceLanguage = SOURCE_LANGUAGE,
+    withTitle = true,
+    withFields = false,
+    withContent = true,
+    withSegments = false,
+    glossary = null,
+    template = DEFAULT_PROMPT_TEMPLATE,
+    title = '',
+    instructions = ''
+} = {}) {
+    const usedVariables = getTemplateVariables(template);
+    let titleRule = '6. Also translate the title provided.';
+    if (!withContent) {
+        titleRule = '6. The title is provided for reference only. DO NOT output it.';
+    } else if (!withTitle) {
+        titleRule = '6. The title and any context are provided for reference only. DO NOT output them. The content is one part of a longer post.';
+    }
+    const glossaryLines = formatGlossary(glossary);
+    const extraRules = [];
+    if (withFields && withContent) {
+        extraRules.push('Also translate the values of the JSON object provided as Fields. Keep its keys, array lengths and order unchanged and output valid JSON.');
+    }
+    if (withSegments) {
+        extraRules.push('Keep every [SEGMENT_N] marker on its own line, unchanged and in the same order, followed by the translation of that segment.');
+    }
+    // Glossary and instructions go into the rules unless the template places them itself
+    if (!usedVariables.includes('glossary')) {
+        extraRules.push(...glossaryLines);
+    }
+    if (instructions && !usedVariables.includes('instructions')) {
+        extraRules.push(`Additional instructions for this post: ${instructions}`);
+    }
+    const extra = extraRules.map((rule, index) => `\n${8 + index}. ${rule}`).join('');
+    const titleFormat = withTitle ? '[TITLE_START]translated title[TITLE_END]' : '';
+    const fieldsFormat = withFields ? '[FIELDS_START]translated JSON[FIELDS_END]' : '';
+    const task = withContent
+        ? `Translate the following ${getLanguageName(sourceLanguage)} Markdown content to ${getLanguageName(targetLanguage)}.`
+        : `Translate the values of the JSON object provided as Fields from ${getLanguageName(sourceLanguage)} to ${getLanguageName(targetLanguage)}. Keep its keys, array lengths and order unchanged and output valid JSON.`;
+    const contentFormat = withContent ? '[CONTENT_START]translated content[CONTENT_END]' : '';
+    const rules = `1. ${task}
+2. DO NOT translate or modify placeholders like [CODE_BLOCK_N], [INLINE_CODE_N], [HEXO_TAG_N] or [URL_N]. Keep them exactly as they are and in place.
 3. DO NOT translate technical identifiers or Hexo tags (like {% note %}, {% tabs %}, {% codeblock %}, etc.). Keep ALL {% ... %} and {% ... %}...{% end... %} tag pairs EXACTLY as they are.
 4. DO NOT modify any HTML tags or their attributes (e.g., keep <span class="xxx"> as it is).
 5. Maintain all Markdown formatting.
-6. Also translate the title provided.
-7. Output ONLY the translated text. NO explanations, NO notes, NO meta-comments.
-Format your response as: [TITLE_START]translated title[TITLE_END][CONTENT_START]translated content[CONTENT_END]`;
-}
+${titleRule}
+7. Output ONLY the translated text. NO explanations, NO notes, NO meta-comments.${extra}
+Format your response as: ${titleFormat}${fieldsFormat}${contentFormat}`;
 
-/**
- * Extracts code blocks from content and replaces them with placeholders
- * @param {string} content - The original content
- * @returns {{ contentWithPlaceholders: string, codeBlocks: string[] }}
- */
-function extractCodeBlocks(content) {
-    const codeBlocks = [];
-    const contentWithPlaceholders = content.replace(/```[\s\S]*?```/g, (match) => {
-        const placeholder = `[CODE_BLOCK_${codeBlocks.length}]`;
-        codeBlocks.push(match);
-        return placeholder;
+    const prompt = renderTemplate(template, {
+        target_language: getLanguageName(targetLanguage),
+        target_language_code: targetLanguage,
+        source_language: getLanguageName(sourceLanguage),
+        title,
+        glossary: glossaryLines.join('\n'),
+        instructions,
+        rules
     });
-    return { contentWithPlaceholders, codeBlocks };
+    return usedVariables.includes('rules') ? prompt : `${prompt.trimEnd()}\n${rules}`;
 }
 
 /**
- * Restores code blocks from placeholders in translated content
- * @param {string} translatedContent - Content with placeholders
- * @param {string[]} codeBlocks - Original code blocks
- * @returns {string} - Content with restored code blocks
+ * Parses the translated front-matter fields from the model response
+ * Values whose type or array length changed are dropped so they fall back to the original
+ * @param {string} raw - Raw model response
+ * @param {object} fields - Original fields that were sent for translation
+ * @returns {object} - Translated fields
  */
-function restoreCodeBlocks(translatedContent, codeBlocks) {
-    let result = translatedContent;
-    codeBlocks.forEach((originalCode, index) => {
-        const placeholder = `[CODE_BLOCK_${index}]`;
-        result = result.split(placeholder).join(originalCode);
-    });
-    return result;
-}
+function parseTranslatedFields(raw, fields) {
+    const json = raw.match(/\[FIELDS_START\](.*?)\[FIELDS_END\]/s)?.[1];
+    if (!json) return {};
 
-/**
- * Validates translated content for common LLM errors
- * @param {string} content - Translated content to validate
- * @throws {Error} - If validation fails
- */
-function validateTranslatedContent(content) {
-    // Check for malformed HTML attributes where LLM may have broken the attribute syntax
-    // This pattern detects cases like `<div class">` where an attribute name is followed
-    // directly by a quote without the equals sign and value
-    if (/<[a-zA-Z]+\s+[^>]*\s*[a-zA-Z]+">/g.test(content)) {
-        throw new Error('LLM generated malformed HTML attributes (e.g. class">)');
+    let parsed;
+    try {
+        parsed = JSON.parse(json.trim().replace(/^```(?:json)?\s*|\s*```$/g, ''));
+    } catch (e) {
+        return {};
     }
 
-    // Check Hexo tag pairs
-    const tagsToCheck = ['note', 'tabs', 'codeblock'];
-    for (const tag of tagsToCheck) {
-        const openCount = (content.match(new RegExp(`\\{%\\s*${tag}`, 'g')) || []).length;
-        const closeCount = (content.match(new RegExp(`\\{%\\s*end${tag}`, 'g')) || []).length;
-        if (openCount !== closeCount) {
-            throw new Error(`Mismatched Hexo tag: ${tag} (open: ${openCount}, close: ${closeCount})`);
+    const translatedFields = {};
+    Object.keys(fields).forEach(key => {
+        const original = fields[key];
+        const value = parsed && parsed[key];
+        if (Array.isArray(original)) {
+            if (Array.isArray(value) && value.length === original.length && value.every(item => typeof item === 'string')) {
+                translatedFields[key] = value;
+            }
+        } else if (typeof value === 'string' && value) {
+            translatedFields[key] = value;
         }
-    }
+    });
+    return translatedFields;
 }
 
 /**
@@ -89,86 +153,420 @@ function sanitizeHexoTags(content) {
     return content.replace(/\{%(?!\s*\/?\w[\w-]*)/g, '&#123;%');
 }
 
+/**
+ * Splits content at the `<!-- more -->` excerpt marker
+ * @param {string} content - Markdown content
+ * @returns {{ excerpt: string, more: string }|null} - Both parts, or null without a marker
+ */
+function splitExcerpt(content) {
+    const match = content.match(/<!-- ?more ?-->/i);
+    if (!match) return null;
+    return {
+        excerpt: content.slice(0, match.index),
+        more: content.slice(match.index + match[0].length)
+    };
+}
+
 /**
  * Wraps original and translated content in language-specific containers
+ * When every version has a `<!-- more -->` marker, excerpts and the rest are wrapped separately
+ * so Hexo's excerpt split still produces well-formed, language-switchable HTML.
  * @param {string} originalContent - Original content
- * @param {string} translatedContent - Translated content
  * @param {string} originalTitle - Original title
- * @param {string} translatedTitle - Translated title
+ * @param {Object<string, { translatedTitle: string, translatedContent: string }>} translations - Translations keyed by language code
+ * @param {string} [sourceLanguage='zh'] - Language code of the original content
  * @returns {string} - Wrapped content with language containers and script
  */
-function wrapContent(originalContent, translatedContent, originalTitle, translatedTitle) {
+function wrapContent(originalContent, originalTitle, translations, sourceLanguage = SOURCE_LANGUAGE) {
+    const titles = { [sourceLanguage]: originalTitle };
+    const contents = { [sourceLanguage]: originalContent };
+    Object.keys(translations).forEach(lang => {
+        titles[lang] = translations[lang].translatedTitle;
+        contents[lang] = translations[lang].translatedContent;
+    });
+
     const titleScript = `<script>
-window._zh_title = ${JSON.stringify(originalTitle)};
-window._en_title = ${JSON.stringify(translatedTitle)};
+window._hexo_titles = ${JSON.stringify(titles)};
+window._hexo_llm_pick_lang && window._hexo_llm_pick_lang(${JSON.stringify(Object.keys(titles))});
 </script>\n\n`;
 
+    const wrap = (parts) => Object.keys(parts).map(lang => `<div class="hexo-llm-${lang}">
+
+${parts[lang]}
+
+</div>`).join('\n');
+
+    const splits = {};
+    Object.keys(contents).forEach(lang => {
+        splits[lang] = splitExcerpt(contents[lang]);
+    });
+    if (Object.values(splits).every(Boolean)) {
+        const excerpts = {};
+        const mores = {};
+        Object.keys(splits).forEach(lang => {
+            excerpts[lang] = splits[lang].excerpt.trim();
+            mores[lang] = splits[lang].more.trim();
+        });
+        return `${titleScript}
+${wrap(excerpts)}
+
+<!-- more -->
+
+${wrap(mores)}`;
+    }
+
     return `${titleScript}
-<div class="hexo-llm-zh">
+${wrap(contents)}`;
+}
 
-${originalContent}
+/**
+ * Wraps short texts (e.g., a front-matter excerpt) in language-specific containers
+ * @param {Object<string, string>} texts - Texts keyed by language code, original language first
+ * @returns {string} - HTML with one container per language
+ */
+function wrapText(texts) {
+    return Object.keys(texts)
+        .map(lang => `<div class="hexo-llm-${lang}">${texts[lang]}</div>`)
+        .join('');
+}
 
-</div>
-<div class="hexo-llm-en">
+/**
+ * Sends one completion request through the provider adapter and returns the raw response text
+ * @param {object} options - Request options
+ * @param {string} [options.provider='openai'] - Provider name (see lib/providers.js)
+ * @param {string} options.endpoint - API endpoint URL
+ * @param {string} options.apiKey - API key for authentication
+ * @param {string} options.model - Model identifier (deployment name for Azure OpenAI)
+ * @param {number} options.timeout - Request timeout in milliseconds
+ * @param {string} options.system - System prompt
+ * @param {string} options.user - User message
+ * @param {object} [options.providerOptions] - Provider specific options
+ * @param {string} [options.providerOptions.apiVersion='2024-10-21'] - Azure OpenAI API version
+ * @param {number} [options.providerOptions.maxOutputTokens=8192] - Output token limit (Anthropic, Gemini)
+ * @param {object} [options.scheduler] - Request scheduler from createRequestScheduler() (RPM/TPM limits)
+ * @param {number} [options.maxRetries=2] - Retries of rate limited, failed or timed out requests
+ * @returns {Promise<{ text: string|null, usage: { inputTokens: number, outputTokens: number } }>} - Raw model output and token usage
+ *     (estimated when the provider does not report it)
+ * @throws {Error} - If the output was cut off by the token limit
+ */
+async function requestCompletion({ provider = 'openai', endpoint, apiKey, model, timeout, system, user, providerOptions = {}, scheduler, maxRetries = 2 }) {
+    const adapter = getProvider(provider);
+    const { apiVersion = '2024-10-21', maxOutputTokens = 8192 } = providerOptions;
+    const request = adapter.buildRequest({ endpoint, apiKey, model, system, user, apiVersion, maxOutputTokens });
+    // Reserve the prompt plus an output about as long as the user message until the real usage is known
+    const estimatedTokens = estimateTokens(system) + estimateTokens(user) * 2;
 
-${translatedContent}
+    const result = await fetchWithRetry(request.url, {
+        method: 'POST',
+        headers: {
+            ...request.headers,
+            'Content-Type': 'application/json'
+        },
+        timeout,
+        body: JSON.stringify(request.body)
+    }, { retries: maxRetries, scheduler, tokens: estimatedTokens });
+
+    const parsed = adapter.parseResponse(result);
+    const usage = parsed.usage || { inputTokens: estimateTokens(system) + estimateTokens(user), outputTokens: estimateTokens(parsed.text) };
+    if (scheduler) scheduler.settle(estimatedTokens, usage.inputTokens + usage.outputTokens);
+    if (parsed.truncated) {
+        throw new Error('Output truncated by the model token limit (lower max_chunk_chars)');
+    }
+    return { text: parsed.text, usage };
+}
+
+/**
+ * Extracts the translated content between the content markers
+ * @param {string} raw - Raw model output
+ * @returns {string} - Translated content
+ * @throws {Error} - If the markers are missing or the content is empty
+ */
+function parseTranslatedContent(raw) {
+    if (!raw.includes('[CONTENT_START]')) {
+        throw new Error('Missing [CONTENT_START] marker in model output');
+    }
+    if (!raw.includes('[CONTENT_END]')) {
+        throw new Error('Missing [CONTENT_END] marker, the output was probably truncated (lower max_chunk_chars)');
+    }
+    const content = raw.match(/\[CONTENT_START\](.*?)\[CONTENT_END\]/s)?.[1] || '';
+    if (!content.trim()) {
+        throw new Error('Empty translated content');
+    }
+    return content;
+}
 
-</div>`;
+/**
+ * Returns a short excerpt of a neighbouring segment, used as context for partial updates
+ * @param {string} segment - Neighbouring segment
+ * @param {boolean} fromEnd - Take the end of the segment instead of the beginning
+ * @returns {string} - Context excerpt
+ */
+function getContextExcerpt(segment, fromEnd) {
+    const text = segment.trim();
+    const maxLength = 500;
+    if (text.length <= maxLength) return text;
+    return fromEnd ? text.slice(-maxLength) : text.slice(0, maxLength);
 }
 
 /**
  * Translates content using the configured AI model
+ * Content is split into segments at headings (see splitIntoSegments). Segments whose hash is found
+ * in the previous translation are reused, only changed ones are sent (grouped into requests of at most
+ * maxChunkChars, with the neighbouring text as context), and every request goes through the optional limiter.
  * @param {object} options - Translation options
  * @param {string} options.title - Title to translate
  * @param {string} options.content - Content to translate
+ * @param {string} [options.provider='openai'] - Provider name (see lib/providers.js)
  * @param {string} options.apiKey - API key for authentication
  * @param {string} options.endpoint - API endpoint URL
  * @param {string} options.model - Model identifier
  * @param {number} options.timeout - Request timeout in milliseconds
- * @returns {Promise<{ translatedTitle: string, translatedContent: string } | null>}
+ * @param {object} [options.providerOptions] - Provider specific options (see requestCompletion)
+ * @param {object} [options.scheduler] - Request scheduler from createRequestScheduler() (RPM/TPM limits)
+ * @param {number} [options.maxRetries=2] - Retries of rate limited, failed or timed out requests
+ * @param {number} [options.maxAttempts=2] - Attempts per part when the output cannot be parsed, breaks the structure or ignores the glossary
+ * @param {string} [options.sourceLanguage='zh'] - Language code of the original content
+ * @param {string} [options.targetLanguage='en'] - Target language code
+ * @param {object} [options.fields] - Front-matter fields to translate in the same request (string or string[] values)
+ * @param {number} [options.maxChunkChars=0] - Maximum characters per request, 0 disables chunking
+ * @param {function} [options.limit] - Concurrency limiter from createConcurrencyLimiter()
+ * @param {object} [options.previous] - Previous translation of the post, used as translation memory
+ * @param {string} [options.previous.title] - Previous original title
+ * @param {string} [options.previous.translatedTitle] - Previous translated title
+ * @param {object} [options.previous.fields] - Previous original front-matter fields
+ * @param {object} [options.previous.translatedFields] - Previous translated front-matter fields
+ * @param {Array<{ hash: string, translation: string }>} [options.previous.segments] - Previous translated segments
+ * @param {{ terms: Array<{ source: string, target: string }>, doNotTranslate: string[] }} [options.glossary] - Glossary entries for this language (see getGlossaryEntries)
+ * @param {string} [options.promptTemplate] - Prompt template (see lib/prompt-template.js)
+ * @param {string} [options.instructions] - Per-post translation instructions
+ * @param {Array<object>} [options.protectRules] - Protected span rules from getProtectRules(), defaults to all built-in rules
+ * @param {object} [options.usageTracker] - Build usage tracker from createUsageTracker(), checked before every request
+ * @returns {Promise<{ translatedTitle: string, translatedContent: string, translatedFields: object, segments: Array<{ hash: string, translation: string }>, translatedSegmentCount: number, warnings: string[], usage: { inputTokens: number, outputTokens: number, cost: number|null } }>}
+ * @throws {Error} - If a request fails, the output is truncated, the structure still differs after maxAttempts or the build budget is used up (code 'BUDGET_EXCEEDED')
  */
-async function translateContent({ title, content, apiKey, endpoint, model, timeout }) {
-    const { contentWithPlaceholders, codeBlocks } = extractCodeBlocks(content);
-    const prompt = buildTranslationPrompt();
+async function translateContent({ title, content, provider = 'openai', apiKey, endpoint, model, timeout, providerOptions, scheduler, maxRetries, maxAttempts = 2, sourceLanguage = SOURCE_LANGUAGE, targetLanguage = 'en', fields = {}, maxChunkChars = 0, limit, previous, glossary = null, promptTemplate, instructions, protectRules, usageTracker }) {
+    const run = limit || (fn => fn());
+    // Placeholders are numbered over the whole post, so they stay consistent across requests
+    const { contentWithPlaceholders, spans } = extractProtectedSpans(content, protectRules);
+    const restore = text => restoreProtectedSpans(text, spans);
+    const segments = splitIntoSegments(contentWithPlaceholders, maxChunkChars, restore);
+    // Hash the original text so unrelated changes elsewhere do not shift placeholder numbers into the hash
+    const hashes = segments.map(segment => hashSegment(restore(segment)));
 
-    const result = await fetchWithRetry(endpoint, {
-        method: 'POST',
-        headers: {
-            'Authorization': `Bearer ${apiKey}`,
-            'Content-Type': 'application/json'
-        },
-        timeout,
-        body: JSON.stringify({
-            model,
-            messages: [
-                { role: 'system', content: prompt },
-                { role: 'user', content: `Title: ${title}\n\nContent: ${contentWithPlaceholders}` }
-            ]
-        })
+    const memory = new Map(((previous && previous.segments) || []).map(item => [item.hash, item.translation]));
+    const reuseTitle = !!previous && previous.title === title && !!previous.translatedTitle;
+    const hasFields = Object.keys(fields).length > 0;
+    const reuseFields = hasFields && !!previous && !!previous.translatedFields
+        && JSON.stringify(previous.fields || {}) === JSON.stringify(fields);
+    const withFields = hasFields && !reuseFields;
+
+    let pending = segments.map((segment, index) => index).filter(index => !memory.has(hashes[index]));
+    // The title and fields travel with the first request, so send the first segment again if nothing else changed
+    if (pending.length === 0 && (!reuseTitle || withFields)) {
+        pending = [0];
+    }
+    const isPartial = pending.length < segments.length;
+    const batches = groupSegments(segments, pending, maxChunkChars);
+    const fieldsBlock = withFields ? `Fields: ${JSON.stringify(fields)}\n\n` : '';
+    const totalUsage = { inputTokens: 0, outputTokens: 0, cost: null };
+
+    const outputs = await Promise.all(batches.map((batch, batchIndex) => run(async () => {
+        const isFirst = batchIndex === 0;
+        const withTitle = isFirst && !reuseTitle;
+        const first = batch[0];
+        const last = batch[batch.length - 1];
+
+        let contextBlock = '';
+        if (isPartial && first > 0) {
+            contextBlock += `Context before: ${getContextExcerpt(segments[first - 1], true)}\n\n`;
+        }
+        if (isPartial && last < segments.length - 1) {
+            contextBlock += `Context after: ${getContextExcerpt(segments[last + 1], false)}\n\n`;
+        }
+
+        const source = joinMarkedSegments(batch.map(index => segments[index]));
+        const label = `Part ${batchIndex + 1}/${batches.length}`;
+        // A translation that breaks the structure or ignores the glossary is requested again with the problems as feedback
+        let feedbackBlock = '';
+        for (let attempt = 1; ; attempt++) {
+            const canRetry = attempt < maxAttempts;
+            // Stop issuing requests once the build budget is used up
+            if (usageTracker) usageTracker.check();
+            const { text: raw, usage } = await requestCompletion({
+                provider,
+                endpoint,
+                apiKey,
+                model,
+                timeout,
+                providerOptions,
+                scheduler,
+                maxRetries,
+                system: buildTranslationPrompt(targetLanguage, {
+                    sourceLanguage,
+                    withTitle,
+                    withFields: isFirst && withFields,
+                    withSegments: batch.length > 1,
+                    glossary,
+                    template: promptTemplate,
+                    title,
+                    instructions
+                }),
+                user: `Title: ${title}\n\n${isFirst ? fieldsBlock : ''}${contextBlock}${feedbackBlock}Content: ${source}`
+            });
+            const cost = usageTracker ? usageTracker.record(model, usage).cost : null;
+            totalUsage.inputTokens += usage.inputTokens;
+            totalUsage.outputTokens += usage.outputTokens;
+            if (cost !== null) totalUsage.cost = (totalUsage.cost || 0) + cost;
+            if (!raw) {
+                throw new Error(`${label}: Empty model response`);
+            }
+            let parts;
+            try {
+                parts = splitMarkedSegments(parseTranslatedContent(raw), batch.length);
+            } catch (error) {
+                if (!canRetry) throw new Error(`${label}: ${error.message}`);
+                feedbackBlock = `Your previous response could not be used: ${error.message}. Follow the output format exactly.\n\n`;
+                continue;
+            }
+
+            const problems = [].concat(...batch.map((index, position) =>
+                compareStructure(segments[index], parts[position])
+                    .map(problem => (batch.length > 1 ? `segment ${position}: ${problem}` : problem))
+            ));
+            if (problems.length > 0 && !canRetry) {
+                throw new Error(`${label}: Translation does not match the source structure: ${problems.join('; ')}`);
+            }
+
+            let violations = [];
+            if (glossary) {
+                const translatedTitle = withTitle ? (raw.match(/\[TITLE_START\](.*?)\[TITLE_END\]/s)?.[1] || '') : '';
+                violations = findGlossaryViolations(
+                    `${withTitle ? title : ''}\n${source}`,
+                    `${translatedTitle}\n${parts.join('\n')}`,
+                    glossary
+                );
+            }
+            if (problems.length === 0 && (violations.length === 0 || !canRetry)) {
+                return { raw, parts, warnings: violations.map(violation => `${label}: ${violation}`) };
+            }
+
+            feedbackBlock = '';
+            if (problems.length > 0) {
+                feedbackBlock += `Your previous translation changed the structure of the content: ${problems.join('; ')}. Keep placeholders, code blocks, headings, links, images, lists, tables and Hexo tags exactly as in the source.\n\n`;
+            }
+            if (violations.length > 0) {
+                feedbackBlock += `Your previous translation did not follow the glossary: ${violations.join('; ')}. Follow it this time.\n\n`;
+            }
+        }
+    })));
+
+    // Merge fresh translations with the reused ones, restoring protected spans per segment
+    const translatedSegments = hashes.map(hash => memory.get(hash));
+    batches.forEach((batch, batchIndex) => {
+        batch.forEach((index, position) => {
+            translatedSegments[index] = restore(outputs[batchIndex].parts[position].trim());
+        });
     });
 
-    const raw = result.choices?.[0]?.message?.content;
-    if (!raw) return null;
+    const firstRaw = outputs.length > 0 ? outputs[0].raw : '';
+    const translatedTitle = reuseTitle
+        ? previous.translatedTitle
+        : (firstRaw.match(/\[TITLE_START\](.*?)\[TITLE_END\]/s)?.[1] || title);
+    let translatedFields = {};
+    if (reuseFields) {
+        translatedFields = previous.translatedFields;
+    } else if (withFields) {
+        translatedFields = parseTranslatedFields(firstRaw, fields);
+    }
+
+    // Post-process the translated content (every part was checked against its source above)
+    const translatedContent = sanitizeHexoTags(translatedSegments.join('\n\n'));
 
-    const translatedTitle = raw.match(/\[TITLE_START\](.*?)\[TITLE_END\]/s)?.[1] || title;
-    let translatedContent = raw.match(/\[CONTENT_START\](.*?)\[CONTENT_END\]/s)?.[1] || '';
+    return {
+        translatedTitle,
+        translatedContent,
+        translatedFields,
+        segments: hashes.map((hash, index) => ({ hash, translation: translatedSegments[index] })),
+        translatedSegmentCount: pending.length,
+        warnings: [].concat(...outputs.map(output => output.warnings)),
+        usage: totalUsage
+    };
+}
 
-    if (!translatedContent) return null;
+/**
+ * Translates only the front-matter fields of a post, for posts whose body is translated manually
+ * @param {object} options - Translation options, as in translateContent() without the content options
+ * @param {string} options.title - Post title, sent for reference
+ * @param {object} options.fields - Front-matter fields to translate (string or string[] values)
+ * @returns {Promise<{ translatedFields: object, usage: { inputTokens: number, outputTokens: number, cost: number|null } }>}
+ * @throws {Error} - If a request fails, no fields can be parsed after maxAttempts or the build budget is used up (code 'BUDGET_EXCEEDED')
+ */
+async function translateFrontMatter({ title, fields, provider = 'openai', apiKey, endpoint, model, timeout, providerOptions, scheduler, maxRetries, maxAttempts = 2, sourceLanguage = SOURCE_LANGUAGE, targetLanguage = 'en', limit, glossary = null, promptTemplate, instructions, usageTracker }) {
+    const run = limit || (fn => fn());
+    return run(async () => {
+        const totalUsage = { inputTokens: 0, outputTokens: 0, cost: null };
+        let feedbackBlock = '';
+        for (let attempt = 1; ; attempt++) {
+            if (usageTracker) usageTracker.check();
+            const { text: raw, usage } = await requestCompletion({
+                provider,
+                endpoint,
+                apiKey,
+                model,
+                timeout,
+                providerOptions,
+                scheduler,
+                maxRetries,
+                system: buildTranslationPrompt(targetLanguage, {
+                    sourceLanguage,
+                    withTitle: false,
+                    withFields: true,
+                    withContent: false,
+                    glossary,
+                    template: promptTemplate,
+                    title,
+                    instructions
+                }),
+                user: `Title: ${title}\n\n${feedbackBlock}Fields: ${JSON.stringify(fields)}`
+            });
+            const cost = usageTracker ? usageTracker.record(model, usage).cost : null;
+            totalUsage.inputTokens += usage.inputTokens;
+            totalUsage.outputTokens += usage.outputTokens;
+            if (cost !== null) totalUsage.cost = (totalUsage.cost || 0) + cost;
 
-    // Post-process the translated content
-    translatedContent = restoreCodeBlocks(translatedContent, codeBlocks);
-    validateTranslatedContent(translatedContent);
-    translatedContent = sanitizeHexoTags(translatedContent);
+            const translatedFields = parseTranslatedFields(raw || '', fields);
+            if (Object.keys(translatedFields).length > 0) {
+                return { translatedFields, usage: totalUsage };
+            }
+            if (attempt >= maxAttempts) {
+                throw new Error('Missing or invalid [FIELDS_START] block in model output');
+            }
+            feedbackBlock = 'Your previous response could not be used: the translated fields were missing or invalid JSON. Follow the output format exactly.\n\n';
+        }
+    });
+}
 
-    return { translatedTitle, translatedContent };
+/**
+ * Estimates the tokens a full translation of a post would use, without sending anything
+ * The output is assumed to be about as long as the source.
+ * @param {object} options - Same translation options as translateContent()
+ * @returns {{ inputTokens: number, outputTokens: number }} - Estimated token counts
+ */
+function estimateTranslationTokens({ title, content, sourceLanguage = SOURCE_LANGUAGE, targetLanguage = 'en', fields = {}, glossary = null, promptTemplate, instructions }) {
+    const hasFields = Object.keys(fields).length > 0;
+    const system = buildTranslationPrompt(targetLanguage, { sourceLanguage, withFields: hasFields, glossary, template: promptTemplate, title, instructions });
+    const fieldsText = hasFields ? JSON.stringify(fields) : '';
+    const sourceTokens = estimateTokens(`${title}\n${fieldsText}\n${content}`);
+    return {
+        inputTokens: estimateTokens(system) + sourceTokens,
+        outputTokens: sourceTokens
+    };
 }
 
 module.exports = {
-    buildTranslationPrompt,
-    extractCodeBlocks,
-    restoreCodeBlocks,
-    validateTranslatedContent,
-    sanitizeHexoTags,
     wrapContent,
-    translateContent
+    wrapText,
+    translateContent,
+    translateFrontMatter,
+    estimateTranslationTokens
 };
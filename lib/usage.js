@@ -0,0 +1,103 @@
+/**
+ * Token usage module
+ * Estimates token counts, prices requests from the configured price table and enforces per-build budgets
+ */
+
+/**
+ * Roughly estimates the number of tokens in a text
+ * CJK characters count as one token each, other text as one token per four characters.
+ * @param {string} text - Text to estimate
+ * @returns {number} - Estimated token count
+ */
+function estimateTokens(text) {
+    if (!text) return 0;
+    const cjk = (text.match(/[\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uac00-\ud7af\uff00-\uffef]/g) || []).length;
+    return Math.ceil(cjk + (text.length - cjk) / 4);
+}
+
+/**
+ * Calculates the cost of a request
+ * @param {{ inputTokens: number, outputTokens: number }} usage - Token usage
+ * @param {{ input?: number, output?: number }|undefined} price - Price per million input/output tokens
+ * @returns {number|null} - Cost, or null when the model has no price
+ */
+function calculateCost(usage, price) {
+    if (!price) return null;
+    return (usage.inputTokens * (Number(price.input) || 0) + usage.outputTokens * (Number(price.output) || 0)) / 1e6;
+}
+
+/**
+ * Creates an error that tells callers the build budget is used up
+ * @returns {Error} - Error with code 'BUDGET_EXCEEDED'
+ */
+function createBudgetError() {
+    const error = new Error('Build token/cost budget exceeded, no more translation requests are sent');
+    error.code = 'BUDGET_EXCEEDED';
+    return error;
+}
+
+/**
+ * Creates a usage tracker that sums token usage and cost over one build
+ * @param {object} [options] - Tracker options
+ * @param {Object<string, { input?: number, output?: number }>} [options.prices={}] - Price per million tokens, keyed by model
+ * @param {number} [options.maxTokens=0] - Token budget per build (input + output), 0 for no limit
+ * @param {number} [options.maxCost=0] - Cost budget per build, 0 for no limit
+ * @returns {object} - Tracker with record(), check(), isExceeded(), getTotals() and reset()
+ */
+function createUsageTracker({ prices = {}, maxTokens = 0, maxCost = 0 } = {}) {
+    let totals;
+    const reset = () => {
+        totals = { requests: 0, inputTokens: 0, outputTokens: 0, cost: 0, hasCost: false };
+    };
+    reset();
+
+    const isExceeded = () =>
+        (maxTokens > 0 && totals.inputTokens + totals.outputTokens >= maxTokens)
+        || (maxCost > 0 && totals.cost >= maxCost);
+
+    return {
+        /**
+         * Adds the usage of one request
+         * @param {string} model - Model identifier
+         * @param {{ inputTokens: number, outputTokens: number }} usage - Token usage
+         * @returns {{ inputTokens: number, outputTokens: number, cost: number|null }} - Usage with its cost
+         */
+        record(model, usage) {
+            const cost = calculateCost(usage, prices[model]);
+            totals.requests++;
+            totals.inputTokens += usage.inputTokens;
+            totals.outputTokens += usage.outputTokens;
+            if (cost !== null) {
+                totals.cost += cost;
+                totals.hasCost = true;
+            }
+            return { ...usage, cost };
+        },
+        /**
+         * Throws when the budget is used up, call before sending a request
+         * @throws {Error} - With code 'BUDGET_EXCEEDED'
+         */
+        check() {
+            if (isExceeded()) throw createBudgetError();
+        },
+        isExceeded,
+        getTotals: () => ({ ...totals }),
+        reset
+    };
+}
+
+/**
+ * Formats usage totals for logging
+ * @param {{ requests: number, inputTokens: number, outputTokens: number, cost: number, hasCost: boolean }} totals - Totals from getTotals()
+ * @returns {string} - Summary line
+ */
+function formatUsage(totals) {
+    const cost = totals.hasCost ? `, estimated cost ${totals.cost.toFixed(4)}` : '';
+    return `${totals.requests} request${totals.requests === 1 ? '' : 's'}, ${totals.inputTokens} input + ${totals.outputTokens} output tokens${cost}`;
+}
+
+module.exports = {
+    estimateTokens,
+    createUsageTracker,
+    formatUsage
+};
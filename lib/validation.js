@@ -0,0 +1,142 @@
+/**
+ * Translation validation module
+ * Compares the Markdown structure of a source text and its translation to catch content the model dropped or changed
+ */
+
+/**
+ * Placeholders inserted before translation, e.g. [CODE_BLOCK_0]
+ */
+const PLACEHOLDER_PATTERN = /\[[A-Z][A-Z_]*_\d+\]/g;
+
+/**
+ * Highlighted code blocks produced by Hexo's backtick_code_block filter, and fenced code blocks
+ */
+const CODE_BLOCK_PATTERN = /<hexoPostRenderCodeBlock>[\s\S]*?<\/hexoPostRenderCodeBlock>|^ {0,3}(`{3,}|~{3,})[^\n]*\n[\s\S]*?^ {0,3}\1[ \t]*$/gm;
+
+/**
+ * Broken HTML attributes, like `<div class">` where the model dropped `="..."`
+ */
+const MALFORMED_ATTRIBUTE_PATTERN = /<[a-zA-Z]+\s+[^>]*\s*[a-zA-Z]+">/g;
+
+/**
+ * Collects the capture group of every match
+ * @param {string} text - Text to search
+ * @param {RegExp} pattern - Global pattern with one capture group
+ * @returns {string[]} - Captured values
+ */
+function collect(text, pattern) {
+    return [...text.matchAll(pattern)].map(match => match[1]);
+}
+
+/**
+ * Describes the structure of Markdown content
+ * Code is left out of every check except the code block count, so highlighted HTML and code comments cannot cause false mismatches.
+ * @param {string} content - Markdown content
+ * @returns {{ placeholders: string[], codeBlocks: number, headings: number[], images: string[], links: string[], listItems: number, tableRows: number[], hexoTags: string[], malformedAttributes: number }}
+ */
+function getStructure(content) {
+    const codeBlocks = (content.match(CODE_BLOCK_PATTERN) || []).length;
+    const text = content
+        .replace(CODE_BLOCK_PATTERN, '\n')
+        .replace(/(`+)[^`\n][\s\S]*?\1/g, '``');
+    const lines = text.split('\n');
+
+    return {
+        placeholders: text.match(PLACEHOLDER_PATTERN) || [],
+        codeBlocks,
+        headings: lines
+            .map(line => line.match(/^ {0,3}(#{1,6})(?:\s|$)/))
+            .filter(Boolean)
+            .map(match => match[1].length),
+        images: [
+            ...collect(text, /!\[[^\]]*\]\(\s*<?([^)\s>]+)/g),
+            ...collect(text, /<img\b[^>]*?\ssrc=["']([^"']+)["']/gi)
+        ],
+        links: [
+            ...collect(text, /(?<!!)\[[^\]]*\]\(\s*<?([^)\s>]+)/g),
+            ...collect(text, /<a\b[^>]*?\shref=["']([^"']+)["']/gi),
+            ...collect(text, /^ {0,3}\[[^\]]+\]:\s*<?([^\s>]+)/gm)
+        ],
+        listItems: lines.filter(line => /^\s*(?:[-*+]|\d+[.)])\s+\S/.test(line)).length,
+        tableRows: lines
+            .filter(line => /^\s*\|.*\|\s*$/.test(line))
+            .map(line => line.trim().slice(1, -1).split(/(?<!\\)\|/).length),
+        hexoTags: collect(text, /\{%-?\s*(\/?[\w-]+)/g),
+        malformedAttributes: (text.match(MALFORMED_ATTRIBUTE_PATTERN) || []).length
+    };
+}
+
+/**
+ * Compares two lists as multisets
+ * @param {string[]} expected - Values from the source
+ * @param {string[]} actual - Values from the translation
+ * @returns {{ missing: string[], extra: string[] }} - Values lost and values added by the translation
+ */
+function diffLists(expected, actual) {
+    const remaining = [...actual];
+    const missing = [];
+    expected.forEach(value => {
+        const index = remaining.indexOf(value);
+        if (index === -1) {
+            missing.push(value);
+        } else {
+            remaining.splice(index, 1);
+        }
+    });
+    return { missing, extra: remaining };
+}
+
+/**
+ * Formats a multiset difference, or returns null when both lists hold the same values
+ * @param {string} name - What the values are, e.g. 'image URLs'
+ * @param {string[]} expected - Values from the source
+ * @param {string[]} actual - Values from the translation
+ * @returns {string|null} - Problem description
+ */
+function describeDiff(name, expected, actual) {
+    const { missing, extra } = diffLists(expected, actual);
+    if (missing.length === 0 && extra.length === 0) return null;
+    const parts = [];
+    if (missing.length > 0) parts.push(`missing ${missing.join(', ')}`);
+    if (extra.length > 0) parts.push(`unexpected ${extra.join(', ')}`);
+    return `${name} changed (${parts.join('; ')})`;
+}
+
+/**
+ * Compares the structure of a source text and its translation
+ * @param {string} source - Source Markdown (with placeholders)
+ * @param {string} translated - Translated Markdown (with placeholders)
+ * @returns {string[]} - Human readable problems, empty when the structure matches
+ */
+function compareStructure(source, translated) {
+    const expected = getStructure(source);
+    const actual = getStructure(translated);
+    const problems = [
+        describeDiff('placeholders', expected.placeholders, actual.placeholders),
+        describeDiff('image URLs', expected.images, actual.images),
+        describeDiff('link URLs', expected.links, actual.links),
+        describeDiff('Hexo tags', expected.hexoTags.map(name => `{% ${name} %}`), actual.hexoTags.map(name => `{% ${name} %}`))
+    ].filter(Boolean);
+
+    if (actual.codeBlocks !== expected.codeBlocks) {
+        problems.push(`expected ${expected.codeBlocks} code blocks, got ${actual.codeBlocks}`);
+    }
+    if (actual.headings.join() !== expected.headings.join()) {
+        const format = levels => (levels.length > 0 ? levels.map(level => `h${level}`).join(' ') : 'none');
+        problems.push(`headings changed (expected ${format(expected.headings)}, got ${format(actual.headings)})`);
+    }
+    if (actual.listItems !== expected.listItems) {
+        problems.push(`expected ${expected.listItems} list items, got ${actual.listItems}`);
+    }
+    if (actual.tableRows.join() !== expected.tableRows.join()) {
+        problems.push(`table shape changed (expected ${expected.tableRows.length} rows, got ${actual.tableRows.length}, or a different column count)`);
+    }
+    if (actual.malformedAttributes > expected.malformedAttributes) {
+        problems.push('malformed HTML attributes (e.g. class">)');
+    }
+    return problems;
+}
+
+module.exports = {
+    compareStructure
+};
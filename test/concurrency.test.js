@@ -0,0 +1,54 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createConcurrencyLimiter, createRequestScheduler, fetchWithRetry } = require('../lib/concurrency');
+
+describe('createConcurrencyLimiter', () => {
+    it('runs at most `limit` operations at once', async () => {
+        const limit = createConcurrencyLimiter(2);
+        let active = 0;
+        let maxActive = 0;
+        const results = await Promise.all([1, 2, 3, 4, 5].map(value => limit(async () => {
+            active++;
+            maxActive = Math.max(maxActive, active);
+            await new Promise(resolve => setTimeout(resolve, 10));
+            active--;
+            return value * 2;
+        })));
+        assert.deepEqual(results, [2, 4, 6, 8, 10]);
+        assert.equal(maxActive, 2);
+    });
+
+    it('releases its slot when an operation fails', async () => {
+        const limit = createConcurrencyLimiter(1);
+        await assert.rejects(limit(async () => { throw new Error('boom'); }), /boom/);
+        assert.equal(await limit(async () => 'next'), 'next');
+    });
+});
+
+describe('createRequestScheduler', () => {
+    it('lets requests through while within the limits', async () => {
+        const scheduler = createRequestScheduler({ requestsPerMinute: 3, tokensPerMinute: 1000 });
+        const start = Date.now();
+        await scheduler.acquire(300);
+        await scheduler.acquire(300);
+        await scheduler.acquire(300);
+        assert.ok(Date.now() - start < 50);
+    });
+
+    it('holds back every request while paused', async () => {
+        const scheduler = createRequestScheduler();
+        scheduler.pause(100);
+        const start = Date.now();
+        await scheduler.acquire();
+        assert.ok(Date.now() - start >= 90);
+    });
+
+    it('gives the tokens of a failed attempt back', async () => {
+        const scheduler = createRequestScheduler({ tokensPerMinute: 100 });
+        // Nothing listens on port 1, so the request fails with a network error
+        await assert.rejects(fetchWithRetry('http://127.0.0.1:1/', { timeout: 1000 }, { retries: 0, scheduler, tokens: 100 }), /Network error/);
+        const start = Date.now();
+        await scheduler.acquire(100);
+        assert.ok(Date.now() - start < 50);
+    });
+});
@@ -0,0 +1,47 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { detectLanguage, matchLanguage, getTargetLanguages } = require('../lib/languages');
+
+describe('detectLanguage', () => {
+    it('detects Chinese text', () => {
+        assert.equal(detectLanguage('人工智能正在改变我们的生活。', ['zh', 'en'], 'en'), 'zh');
+    });
+
+    it('detects English text', () => {
+        assert.equal(detectLanguage('Artificial intelligence is changing our lives.', ['zh', 'en'], 'zh'), 'en');
+    });
+
+    it('detects Japanese from kana mixed with kanji', () => {
+        assert.equal(detectLanguage('人工知能は私たちの生活を変えています。', ['zh', 'en', 'ja'], 'zh'), 'ja');
+    });
+
+    it('keeps pure Han text Chinese when Japanese is a site language', () => {
+        assert.equal(detectLanguage('健康饮食的重要性与实践建议', ['zh', 'en', 'ja'], 'zh'), 'zh');
+        assert.equal(detectLanguage('健康饮食的重要性与实践建议', ['ja', 'zh', 'en'], 'en'), 'zh');
+    });
+
+    it('ignores code, URLs and HTML tags', () => {
+        const text = 'English prose only.\n\n```js\nconst 变量 = "中文注释中文注释中文注释";\n```\n\n<span title="中文中文中文">x</span> https://例子.com/中文中文';
+        assert.equal(detectLanguage(text, ['zh', 'en'], 'zh'), 'en');
+    });
+
+    it('returns the fallback when no candidate matches', () => {
+        assert.equal(detectLanguage('Привет, мир', ['zh', 'en'], 'zh'), 'zh');
+        assert.equal(detectLanguage('', ['zh', 'en'], 'en'), 'en');
+    });
+});
+
+describe('matchLanguage', () => {
+    it('matches exact codes before primary subtags', () => {
+        assert.equal(matchLanguage('zh-TW', ['zh', 'zh-TW']), 'zh-TW');
+        assert.equal(matchLanguage('en_US', ['zh', 'en']), 'en');
+        assert.equal(matchLanguage('fr', ['zh', 'en']), null);
+    });
+});
+
+describe('getTargetLanguages', () => {
+    it('drops the source language and duplicates', () => {
+        assert.deepEqual(getTargetLanguages(['en', 'zh', 'ja', 'en'], 'zh'), ['en', 'ja']);
+        assert.deepEqual(getTargetLanguages(undefined, 'en'), ['zh']);
+    });
+});
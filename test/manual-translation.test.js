@@ -0,0 +1,60 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseFrontMatter, loadManualTranslation, formatManualTranslation, restoreCodeFences } = require('../lib/manual-translation');
+
+describe('parseFrontMatter', () => {
+    it('parses the front matter as YAML', () => {
+        const { frontMatter, body } = parseFrontMatter('---\ntitle: "AI: the future"\ntags: [AI, Tech]\n---\nBody');
+        assert.deepEqual(frontMatter, { title: 'AI: the future', tags: ['AI', 'Tech'] });
+        assert.equal(body, 'Body');
+    });
+
+    it('rejects front matter that is not a mapping', () => {
+        assert.throws(() => parseFrontMatter('---\n- a\n---\nBody'), /mapping/);
+    });
+});
+
+describe('loadManualTranslation', () => {
+    let sourceDir;
+
+    before(() => {
+        sourceDir = fs.mkdtempSync(path.join(os.tmpdir(), 'manual-translation-'));
+        fs.mkdirSync(path.join(sourceDir, '_posts'));
+    });
+
+    after(() => {
+        fs.rmSync(sourceDir, { recursive: true, force: true });
+    });
+
+    it('returns null without a translation file', () => {
+        assert.equal(loadManualTranslation('_posts/missing.md', sourceDir, 'en'), null);
+    });
+
+    it('separates translated fields from the review fields', () => {
+        fs.writeFileSync(path.join(sourceDir, '_posts/hello.en.md'), formatManualTranslation({
+            title: 'Hello: world',
+            content: 'Translated body.',
+            fields: { tags: ['Health'], description: 'Short' },
+            status: 'reviewed',
+            sourceHash: 'abc123',
+            model: 'test-model'
+        }));
+        const manual = loadManualTranslation('_posts/hello.md', sourceDir, 'en');
+        assert.equal(manual.translatedTitle, 'Hello: world');
+        assert.equal(manual.translatedContent, 'Translated body.');
+        assert.deepEqual(manual.translatedFields, { tags: ['Health'], description: 'Short' });
+        assert.equal(manual.status, 'reviewed');
+        assert.equal(manual.sourceHash, 'abc123');
+    });
+});
+
+describe('restoreCodeFences', () => {
+    it('puts the original fences back in place of highlighted code', () => {
+        const raw = 'Text\n\n```js\nlet a;\n```\n';
+        const translated = 'Translated\n\n<hexoPostRenderCodeBlock><pre>let a;</pre></hexoPostRenderCodeBlock>';
+        assert.equal(restoreCodeFences(translated, raw), 'Translated\n\n```js\nlet a;\n```');
+    });
+});
@@ -0,0 +1,18 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { getProtectRules, extractProtectedSpans, restoreProtectedSpans } = require('../lib/protect');
+
+const SOURCE = 'Use `npm i` and $x^2$, see https://example.com/docs.\n\n```js\nlet a = 1;\n```\n\n## Usage\n\n- one\n- two\n';
+
+describe('protected spans', () => {
+    it('replaces code, math and URLs with placeholders and restores them', () => {
+        const { contentWithPlaceholders, spans } = extractProtectedSpans(SOURCE);
+        assert.equal(contentWithPlaceholders, 'Use [INLINE_CODE_0] and [MATH_0], see [URL_0].\n\n[CODE_BLOCK_0]\n\n## Usage\n\n- one\n- two\n');
+        assert.equal(restoreProtectedSpans(contentWithPlaceholders, spans), SOURCE);
+    });
+
+    it('leaves disabled rules alone', () => {
+        const { spans } = extractProtectedSpans(SOURCE, getProtectRules({ math: false }));
+        assert.ok(!spans.some(span => span.text === '$x^2$'));
+    });
+});
@@ -0,0 +1,174 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { translateContent, translateFrontMatter } = require('../lib/translator');
+
+const OUTPUT = '[TITLE_START]Hello[TITLE_END][CONTENT_START]Hello, world.[CONTENT_END]';
+
+/**
+ * Response bodies of each provider for OUTPUT
+ */
+const RESPONSES = {
+    openai: { choices: [{ message: { content: OUTPUT }, finish_reason: 'stop' }], usage: { prompt_tokens: 11, completion_tokens: 7 } },
+    azure: { choices: [{ message: { content: OUTPUT }, finish_reason: 'stop' }], usage: { prompt_tokens: 11, completion_tokens: 7 } },
+    anthropic: { content: [{ type: 'text', text: OUTPUT }], stop_reason: 'end_turn', usage: { input_tokens: 11, output_tokens: 7 } },
+    gemini: { candidates: [{ content: { parts: [{ text: OUTPUT }] }, finishReason: 'STOP' }], usageMetadata: { promptTokenCount: 11, candidatesTokenCount: 7 } },
+    ollama: { message: { content: OUTPUT }, done_reason: 'stop', prompt_eval_count: 11, eval_count: 7 }
+};
+
+describe('provider adapters', () => {
+    let server;
+    let baseUrl;
+    let requests;
+    let reply;
+
+    before(async () => {
+        server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', () => {
+                requests.push({ method: req.method, url: req.url, headers: req.headers, body: JSON.parse(body || '{}') });
+                const { status = 200, headers = {}, json } = reply(requests.length);
+                res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+                res.end(JSON.stringify(json));
+            });
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(() => new Promise(resolve => server.close(resolve)));
+
+    beforeEach(() => {
+        requests = [];
+    });
+
+    /**
+     * Translates a short post through the mock server
+     * @param {string} provider - Provider name
+     * @param {string} endpoint - Endpoint path on the mock server
+     * @param {object} [options] - Extra translateContent() options
+     * @returns {Promise<object>} - Translation
+     */
+    function translate(provider, endpoint, options = {}) {
+        return translateContent({
+            title: '你好',
+            content: '你好，世界。',
+            provider,
+            endpoint: `${baseUrl}${endpoint}`,
+            apiKey: 'test-key',
+            model: 'test-model',
+            timeout: 5000,
+            maxRetries: 0,
+            ...options
+        });
+    }
+
+    it('sends OpenAI chat completions requests', async () => {
+        reply = () => ({ json: RESPONSES.openai });
+        const result = await translate('openai', '/v1/chat/completions');
+        assert.equal(result.translatedTitle, 'Hello');
+        assert.equal(result.translatedContent, 'Hello, world.');
+        assert.deepEqual(result.usage, { inputTokens: 11, outputTokens: 7, cost: null });
+
+        const [request] = requests;
+        assert.equal(request.url, '/v1/chat/completions');
+        assert.equal(request.headers.authorization, 'Bearer test-key');
+        assert.equal(request.body.model, 'test-model');
+        assert.deepEqual(request.body.messages.map(message => message.role), ['system', 'user']);
+        assert.match(request.body.messages[1].content, /Content: 你好，世界。/);
+    });
+
+    it('sends Anthropic messages requests', async () => {
+        reply = () => ({ json: RESPONSES.anthropic });
+        const result = await translate('anthropic', '/v1/messages', { providerOptions: { maxOutputTokens: 1024 } });
+        assert.equal(result.translatedContent, 'Hello, world.');
+        assert.equal(result.usage.inputTokens, 11);
+
+        const [request] = requests;
+        assert.equal(request.headers['x-api-key'], 'test-key');
+        assert.equal(request.headers['anthropic-version'], '2023-06-01');
+        assert.equal(request.body.max_tokens, 1024);
+        assert.equal(typeof request.body.system, 'string');
+        assert.deepEqual(request.body.messages.map(message => message.role), ['user']);
+    });
+
+    it('sends Gemini generateContent requests', async () => {
+        reply = () => ({ json: RESPONSES.gemini });
+        const result = await translate('gemini', '/v1beta/', { model: 'gemini-pro' });
+        assert.equal(result.translatedContent, 'Hello, world.');
+        assert.equal(result.usage.outputTokens, 7);
+
+        const [request] = requests;
+        assert.equal(request.url, '/v1beta/models/gemini-pro:generateContent');
+        assert.equal(request.headers['x-goog-api-key'], 'test-key');
+        assert.ok(request.body.systemInstruction.parts[0].text);
+        assert.equal(request.body.contents[0].role, 'user');
+    });
+
+    it('sends Azure OpenAI requests to the deployment', async () => {
+        reply = () => ({ json: RESPONSES.azure });
+        const result = await translate('azure', '/', { model: 'my-deployment' });
+        assert.equal(result.translatedContent, 'Hello, world.');
+
+        const [request] = requests;
+        assert.equal(request.url, '/openai/deployments/my-deployment/chat/completions?api-version=2024-10-21');
+        assert.equal(request.headers['api-key'], 'test-key');
+        assert.equal(request.body.model, undefined);
+    });
+
+    it('sends Ollama chat requests without an API key', async () => {
+        reply = () => ({ json: RESPONSES.ollama });
+        const result = await translate('ollama', '/api/chat', { apiKey: '' });
+        assert.equal(result.translatedContent, 'Hello, world.');
+        assert.equal(result.usage.inputTokens, 11);
+
+        const [request] = requests;
+        assert.equal(request.headers.authorization, undefined);
+        assert.equal(request.body.stream, false);
+    });
+
+    it('translates only the fields without sending the content', async () => {
+        reply = () => ({ json: { choices: [{ message: { content: '[FIELDS_START]{"tags":["Health"]}[FIELDS_END]' } }] } });
+        const result = await translateFrontMatter({
+            title: '你好',
+            fields: { tags: ['健康'] },
+            endpoint: `${baseUrl}/v1/chat/completions`,
+            apiKey: 'test-key',
+            model: 'test-model',
+            timeout: 5000,
+            maxRetries: 0
+        });
+        assert.deepEqual(result.translatedFields, { tags: ['Health'] });
+
+        const [request] = requests;
+        const user = request.body.messages[1].content;
+        assert.match(user, /Fields: \{"tags":\["健康"\]\}/);
+        assert.doesNotMatch(user, /Content:/);
+        assert.doesNotMatch(request.body.messages[0].content, /CONTENT_START/);
+    });
+
+    it('fails when the output hits the token limit', async () => {
+        reply = () => ({ json: { ...RESPONSES.anthropic, stop_reason: 'max_tokens' } });
+        await assert.rejects(translate('anthropic', '/v1/messages'), /truncated/);
+    });
+
+    it('retries rate limited requests after Retry-After', async () => {
+        reply = count => (count === 1
+            ? { status: 429, headers: { 'Retry-After': '0' }, json: { error: { message: 'slow down' } } }
+            : { json: RESPONSES.openai });
+        const result = await translate('openai', '/v1/chat/completions', { maxRetries: 1 });
+        assert.equal(result.translatedContent, 'Hello, world.');
+        assert.equal(requests.length, 2);
+    });
+
+    it('does not retry authentication errors', async () => {
+        reply = () => ({ status: 401, json: { error: { message: 'invalid key' } } });
+        await assert.rejects(translate('openai', '/v1/chat/completions', { maxRetries: 2 }), error => {
+            assert.equal(error.status, 401);
+            assert.match(error.message, /invalid key/);
+            return true;
+        });
+        assert.equal(requests.length, 1);
+    });
+});
@@ -0,0 +1,23 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { splitIntoSegments, groupSegments, joinMarkedSegments, splitMarkedSegments } = require('../lib/segments');
+
+describe('segments', () => {
+    it('splits at headings without losing text', () => {
+        const content = '# A\n\ntext\n\n## B\n\nmore\n\n## C\n\nend';
+        const segments = splitIntoSegments(content);
+        assert.equal(segments.length, 3);
+        assert.equal(segments.join(''), content);
+    });
+
+    it('groups adjacent segments up to the size limit', () => {
+        assert.deepEqual(groupSegments(['aaaa', 'bbbb', 'cccc'], [0, 1, 2], 9), [[0, 1], [2]]);
+        assert.deepEqual(groupSegments(['aaaa', 'bbbb', 'cccc'], [0, 1, 2]), [[0, 1, 2]]);
+        assert.deepEqual(groupSegments(['aaaa', 'bbbb', 'cccc'], [0, 2]), [[0], [2]]);
+    });
+
+    it('marks segments for the model and splits its output again', () => {
+        const marked = joinMarkedSegments(['first', 'second']);
+        assert.deepEqual(splitMarkedSegments(marked, 2).map(part => part.trim()), ['first', 'second']);
+    });
+});
@@ -0,0 +1,41 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildSeoTags, summarize } = require('../lib/seo');
+
+describe('buildSeoTags', () => {
+    it('links every language version and uses the original as the x-default', () => {
+        const { meta, links } = buildSeoTags({
+            pageLang: 'en',
+            alternateLanguages: ['zh'],
+            description: 'Summary',
+            alternateUrls: { zh: 'https://example.com/post/', en: 'https://example.com/en/post/' },
+            sourceLanguage: 'zh'
+        });
+        assert.ok(meta.some(([attr, key, content]) => key === 'og:locale' && content === 'en_US'));
+        assert.ok(links.includes('<link rel="alternate" hreflang="en" href="https://example.com/en/post/">'));
+        assert.ok(links.includes('<link rel="alternate" hreflang="x-default" href="https://example.com/post/">'));
+    });
+
+    it('emits no hreflang links when the languages share one URL', () => {
+        const { links } = buildSeoTags({
+            pageLang: 'en',
+            alternateLanguages: ['zh'],
+            description: null,
+            alternateUrls: null,
+            sourceLanguage: 'zh'
+        });
+        assert.ok(!links.some(link => link.includes('hreflang')));
+    });
+});
+
+describe('summarize', () => {
+    it('strips Markdown and shortens long text', () => {
+        assert.equal(summarize('## Title\n\nSome **bold** [link](https://example.com).'), 'Title Some bold link.');
+        assert.equal(summarize('a'.repeat(200), 10), 'aaaaaaa...');
+    });
+
+    it('leaves out fenced and highlighted code', () => {
+        const content = 'Before\n\n```js\nlet a;\n```\n\n<hexoPostRenderCodeBlock><figure class="highlight"><pre>let b;</pre></figure></hexoPostRenderCodeBlock>\n\nAfter';
+        assert.equal(summarize(content), 'Before After');
+    });
+});
@@ -0,0 +1,70 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Storage = require('../lib/storage');
+
+const CACHE_FILE = 'node_modules/.cache/ai-translate-cache.json';
+
+describe('Storage with a remote backend', () => {
+    let baseDir;
+    let hexo;
+    let remote;
+
+    /**
+     * Creates a postgres storage whose backend is replaced by an in-memory one
+     * @returns {Storage}
+     */
+    function createStorage() {
+        const storage = new Storage(hexo, { backend: 'postgres', postgres: { url: 'postgres://localhost/test' } });
+        storage.backend = {
+            description: 'remote',
+            remote: true,
+            async load() { return { ...remote }; },
+            async save(entries) { Object.assign(remote, entries); },
+            async delete(keys) { keys.forEach(key => delete remote[key]); },
+            async close() {}
+        };
+        return storage;
+    }
+
+    const readMirror = () => JSON.parse(fs.readFileSync(path.join(baseDir, CACHE_FILE), 'utf-8'));
+
+    beforeEach(() => {
+        baseDir = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-'));
+        hexo = { base_dir: baseDir, log: { info() {}, warn() {}, error() {} } };
+        remote = { '_posts/remote.md': { hash: 'r' } };
+    });
+
+    afterEach(() => {
+        fs.rmSync(baseDir, { recursive: true, force: true });
+    });
+
+    it('reads the local mirror synchronously', () => {
+        fs.mkdirSync(path.join(baseDir, 'node_modules/.cache'), { recursive: true });
+        fs.writeFileSync(path.join(baseDir, CACHE_FILE), JSON.stringify({ '_posts/local.md': { hash: 'l' } }));
+        const storage = createStorage();
+        assert.deepEqual(storage.get('_posts/local.md'), { hash: 'l' });
+    });
+
+    it('merges remote entries into the cache and the mirror', async () => {
+        const storage = createStorage();
+        storage.cache['_posts/local.md'] = { hash: 'l' };
+        await storage.load();
+        assert.deepEqual(storage.keys().sort(), ['_posts/local.md', '_posts/remote.md']);
+        assert.deepEqual(readMirror(), { '_posts/remote.md': { hash: 'r' } });
+    });
+
+    it('writes and deletes entries on both sides', async () => {
+        const storage = createStorage();
+        await storage.load();
+        await storage.save('_posts/new.md', { hash: 'n' });
+        assert.deepEqual(remote['_posts/new.md'], { hash: 'n' });
+        assert.deepEqual(readMirror()['_posts/new.md'], { hash: 'n' });
+
+        await storage.delete(['_posts/remote.md']);
+        assert.equal(remote['_posts/remote.md'], undefined);
+        assert.equal(readMirror()['_posts/remote.md'], undefined);
+    });
+});
@@ -0,0 +1,47 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { splitParagraphs, hashParagraph, applyTranslationPatches } = require('../lib/translation-patch');
+
+const SOURCE = '第一段。\n\n```js\nconst a = 1;\n\nconst b = 2;\n```\n\n第二段，含有锚点。\n\n第三段。';
+const TRANSLATED = 'First paragraph.\n\n```js\nconst a = 1;\n\nconst b = 2;\n```\n\nSecond paragraph, with an anchor.\n\nThird paragraph.';
+
+describe('splitParagraphs', () => {
+    it('keeps fenced code blocks whole', () => {
+        assert.equal(splitParagraphs(SOURCE).length, 4);
+    });
+
+    it('keeps highlighted code blocks whole', () => {
+        const content = 'a\n\n<hexoPostRenderCodeBlock><pre>1\n\n2</pre></hexoPostRenderCodeBlock>\n\nb';
+        assert.equal(splitParagraphs(content).length, 3);
+    });
+});
+
+describe('applyTranslationPatches', () => {
+    it('replaces the paragraphs matched by anchor or hash', () => {
+        const result = applyTranslationPatches(SOURCE, TRANSLATED, [
+            { anchor: '锚点', translation: 'Second paragraph, containing the anchor.' },
+            { hash: hashParagraph('第三段。'), translation: 'The third paragraph.' }
+        ]);
+        assert.equal(result.applied, 2);
+        assert.deepEqual(result.problems, []);
+        assert.equal(result.content, TRANSLATED
+            .replace('Second paragraph, with an anchor.', 'Second paragraph, containing the anchor.')
+            .replace('Third paragraph.', 'The third paragraph.'));
+    });
+
+    it('reports patches that match no paragraph or several', () => {
+        const result = applyTranslationPatches(SOURCE, TRANSLATED, [
+            { anchor: '不存在', translation: 'x' },
+            { anchor: '段', translation: 'y' }
+        ]);
+        assert.equal(result.applied, 0);
+        assert.equal(result.content, TRANSLATED);
+        assert.equal(result.problems.length, 2);
+    });
+
+    it('applies nothing when the paragraphs do not line up', () => {
+        const result = applyTranslationPatches(SOURCE, 'Everything in one paragraph.', [{ anchor: '锚点', translation: 'x' }]);
+        assert.equal(result.misaligned, true);
+        assert.equal(result.content, 'Everything in one paragraph.');
+    });
+});
@@ -0,0 +1,17 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { compareStructure } = require('../lib/validation');
+
+describe('compareStructure', () => {
+    it('accepts a translation with the same structure', () => {
+        assert.deepEqual(compareStructure('## 标题\n\n- 一\n- 二\n\n![图](a.png)', '## Title\n\n- one\n- two\n\n![image](a.png)'), []);
+    });
+
+    it('reports dropped headings, list items and changed URLs', () => {
+        const problems = compareStructure('## 标题\n\n- 一\n- 二\n\n![图](a.png)', 'Title\n\n- one\n\n![image](b.png)');
+        assert.equal(problems.length, 3);
+        assert.match(problems.join('\n'), /headings/);
+        assert.match(problems.join('\n'), /list items/);
+        assert.match(problems.join('\n'), /b\.png/);
+    });
+});